@@ -0,0 +1,165 @@
+import fs from "fs";
+import path from "path";
+import { Buffer } from "buffer";
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "crypto";
+import { proxyError } from "./errors.js";
+
+// Agent login for the proxy. Users live in a JSON file ({ users: [...] }) with scrypt password
+// hashes; a login returns a signed bearer token (HS256 JWT) that the chat routes check.
+// Manage users with `npm run users -- add <username>` (see server/users.js).
+
+export const ROLES = ["agent", "supervisor", "admin"];
+// Budgets and reports group agents by team; accounts created without --team land here.
+export const DEFAULT_TEAM = "default";
+const SCRYPT_KEYLEN = 64;
+
+export function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const hash = scryptSync(String(password), salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(String(password), salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+const b64url = (value) => Buffer.from(value).toString("base64url");
+const hmac = (secret, data) => createHmac("sha256", secret).update(data).digest();
+
+export function signToken(claims, secret, ttlSec) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSec }));
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`).toString("base64url")}`;
+}
+
+// -> claims, or null when the token is malformed, forged or expired
+export function verifyToken(token, secret) {
+  const [header, payload, sig] = String(token || "").split(".");
+  if (!header || !payload || !sig) return null;
+
+  const expected = hmac(secret, `${header}.${payload}`);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims?.exp && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+const DUMMY_HASH = hashPassword("not-a-password");
+
+const normalizeUsername = (u) => String(u || "").trim().toLowerCase();
+
+// Read on every lookup so added/disabled users apply without a restart (the file is tiny).
+export function createUserStore(file) {
+  function list() {
+    try {
+      const users = JSON.parse(fs.readFileSync(file, "utf8"))?.users;
+      return Array.isArray(users) ? users : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function find(username) {
+    const key = normalizeUsername(username);
+    return list().find((u) => u.username === key) || null;
+  }
+
+  function write(users) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Unset fields keep their previous value, so `add` also updates an existing user.
+  function upsert({ username, name, role, team, password, disabled }) {
+    const key = normalizeUsername(username);
+    if (!/^[a-z0-9._-]{2,40}$/.test(key)) throw new Error(`Invalid username '${username}'`);
+
+    const users = list();
+    const prev = users.find((u) => u.username === key);
+    const user = {
+      username: key,
+      name: name || prev?.name || key,
+      team: team || prev?.team || DEFAULT_TEAM,
+      role: role || prev?.role || "agent",
+      disabled: disabled ?? prev?.disabled ?? false,
+      passwordHash: password ? hashPassword(password) : prev?.passwordHash,
+    };
+    if (!ROLES.includes(user.role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+    if (!user.passwordHash) throw new Error("A password is required for new users");
+
+    write([...users.filter((u) => u.username !== key), user]);
+    return user;
+  }
+
+  function remove(username) {
+    const key = normalizeUsername(username);
+    const users = list();
+    write(users.filter((u) => u.username !== key));
+    return users.some((u) => u.username === key);
+  }
+
+  return { list, find, upsert, remove };
+}
+
+const toAgent = (user) => ({
+  username: user.username,
+  name: user.name || user.username,
+  role: user.role || "agent",
+  team: user.team || DEFAULT_TEAM,
+});
+
+export function agentLabel(agent) {
+  return agent ? `${agent.username}(${agent.role})` : "anonymous";
+}
+
+// required=false keeps the old open behavior (local dev); a token, when sent, is still honored.
+export function createAuth({ usersFile, secret, ttlSec = 12 * 3600, required = true }) {
+  const users = createUserStore(usersFile);
+
+  function login(username, password) {
+    const user = users.find(username);
+    // hash anyway so unknown usernames take as long as wrong passwords
+    const ok = verifyPassword(password, user?.passwordHash || DUMMY_HASH);
+    if (!user || user.disabled || !ok) return null;
+
+    const agent = toAgent(user);
+    const token = signToken({ sub: agent.username, name: agent.name, role: agent.role }, secret, ttlSec);
+    return { token, expiresAt: Date.now() + ttlSec * 1000, agent };
+  }
+
+  // -> agent for a valid bearer token of a still-enabled user, else null
+  function authenticate(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+    const claims = match ? verifyToken(match[1], secret) : null;
+    const user = claims ? users.find(claims.sub) : null;
+    return user && !user.disabled ? toAgent(user) : null;
+  }
+
+  function requireAgent(req, res, next) {
+    req.agent = authenticate(req);
+    if (!req.agent && required) return next(proxyError("UNAUTHENTICATED"));
+    next();
+  }
+
+  // Use after requireAgent. With auth off there are no roles, so everything stays open.
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!required) return next();
+      if (!roles.includes(req.agent?.role)) return next(proxyError("FORBIDDEN"));
+      next();
+    };
+  }
+
+  return { required, users, login, authenticate, requireAgent, requireRole };
+}
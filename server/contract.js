@@ -0,0 +1,389 @@
+import Ajv from "ajv";
+import { FEEDBACK_REASONS, FEEDBACK_STATUSES } from "../shared/feedback.js";
+import { ESCALATION_SEVERITIES } from "./escalation.js";
+import { MAX_TRANSCRIPT_CHARS } from "./qaGrader.js";
+
+// Request/response contracts (JSON Schema, checked with Ajv): POST /api/v1/chat, QA grading,
+// escalation matching, note writing, the feedback routes and the guided-flow definitions.
+// The React client builds exactly these requests; the legacy chat aliases stay lenient.
+
+const DOC_KEYS = ["matrix", "trainingTxt", "trainingChunks", "qaVoice", "qaGroup"];
+
+export const chatRequestSchema = {
+  $id: "ChatRequest",
+  type: "object",
+  required: ["question"],
+  additionalProperties: false,
+  properties: {
+    question: { type: "string", minLength: 1, maxLength: 8000 },
+    history: {
+      type: "array",
+      maxItems: 50,
+      items: {
+        type: "object",
+        required: ["role", "content"],
+        additionalProperties: false,
+        properties: {
+          role: { enum: ["user", "assistant"] },
+          content: { type: "string", maxLength: 20000 },
+        },
+      },
+    },
+    // UI diagnostics (_availability, _activeDocsLabel) ride along with the chips
+    docs: {
+      type: "object",
+      properties: Object.fromEntries(DOC_KEYS.map((k) => [k, { type: "boolean" }])),
+    },
+    mode: { enum: ["cloud", "local"] },
+    client: { type: "object" },
+  },
+};
+
+const citationSchema = {
+  type: "object",
+  required: ["index", "id", "source"],
+  properties: {
+    index: { type: "integer", minimum: 1 },
+    id: { type: "string" },
+    source: { type: "string" },
+    type: { type: "string" },
+    slides: { type: "array", items: { type: "integer" } },
+    sheet: { type: "string" },
+    row: { type: "integer" },
+    snippet: { type: "string" },
+    score: { type: "number" },
+  },
+};
+
+const guardrailFindingSchema = {
+  type: "object",
+  required: ["id", "title", "severity", "message"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string" },
+    severity: { enum: ["warn", "block"] },
+    message: { type: "string" },
+    sources: { type: "array" },
+  },
+};
+
+export const chatResponseSchema = {
+  $id: "ChatResponse",
+  type: "object",
+  required: ["ok", "requestId", "mode", "answer", "citations", "usage"],
+  properties: {
+    ok: { const: true },
+    requestId: { type: "string" },
+    mode: { enum: ["cloud", "local"] },
+    model: { type: ["string", "null"] },
+    corpusVersion: { type: ["integer", "null"] },
+    // kind -> count of guest details replaced before the upstream call (null: none)
+    redacted: { type: ["object", "null"], additionalProperties: { type: "integer", minimum: 1 } },
+    // compliance check on the answer (null: not checked, e.g. Local Mode)
+    guardrail: {
+      type: ["object", "null"],
+      required: ["status", "findings"],
+      properties: {
+        status: { enum: ["pass", "warn", "block"] },
+        findings: { type: "array", items: guardrailFindingSchema },
+      },
+    },
+    answer: { type: "string" },
+    citations: { type: "array", items: citationSchema },
+    usage: {
+      type: ["object", "null"],
+      required: ["inputTokens", "outputTokens"],
+      properties: {
+        inputTokens: { type: "integer", minimum: 0 },
+        outputTokens: { type: "integer", minimum: 0 },
+      },
+    },
+  },
+};
+
+// POST /api/feedback. question/answer/citations are what the agent saw, stored for the trainers.
+export const feedbackRequestSchema = {
+  $id: "FeedbackRequest",
+  type: "object",
+  required: ["requestId", "rating"],
+  additionalProperties: false,
+  properties: {
+    requestId: { type: "string", pattern: "^[A-Za-z0-9_-]{1,80}$" },
+    rating: { enum: ["up", "down"] },
+    reason: { enum: FEEDBACK_REASONS.map((r) => r.key) },
+    comment: { type: "string", maxLength: 2000 },
+    question: { type: "string", maxLength: 8000 },
+    answer: { type: "string", maxLength: 20000 },
+    citations: { type: "array", maxItems: 20, items: citationSchema },
+    mode: { enum: ["cloud", "local"] },
+    conversationId: { type: "string", maxLength: 80 },
+  },
+};
+
+// PATCH /api/admin/feedback/:requestId
+export const feedbackReviewSchema = {
+  $id: "FeedbackReview",
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    status: { enum: FEEDBACK_STATUSES },
+    note: { type: "string", maxLength: 2000 },
+  },
+};
+
+// POST /api/v1/qa/grade
+export const qaGradeRequestSchema = {
+  $id: "QaGradeRequest",
+  type: "object",
+  required: ["form", "transcript"],
+  additionalProperties: false,
+  properties: {
+    form: { enum: ["qaVoice", "qaGroup"] },
+    transcript: { type: "string", minLength: 20, maxLength: MAX_TRANSCRIPT_CHARS },
+    client: { type: "object" },
+  },
+};
+
+const qaItemSchema = {
+  type: "object",
+  required: ["number", "title", "points", "outcome", "awarded"],
+  properties: {
+    number: { type: "integer", minimum: 1 },
+    title: { type: "string" },
+    points: { type: "number" },
+    outcome: { enum: ["yes", "no", "na", null] },
+    awarded: { type: "number" },
+    evidence: { type: "string" },
+    evidenceVerified: { type: "boolean" },
+    note: { type: "string" },
+    coaching: { type: "string" },
+    needsReview: { type: "boolean" },
+  },
+};
+
+export const qaGradeResponseSchema = {
+  $id: "QaGradeResponse",
+  type: "object",
+  required: ["ok", "requestId", "form", "items", "score", "summary"],
+  properties: {
+    ok: { const: true },
+    requestId: { type: "string" },
+    form: { type: "object", required: ["key", "label"] },
+    items: { type: "array", items: qaItemSchema },
+    score: {
+      type: "object",
+      required: ["earned", "possible", "pct"],
+      properties: {
+        earned: { type: "number" },
+        possible: { type: "number" },
+        pct: { type: "number" },
+        passingPct: { type: ["number", "null"] },
+        passed: { type: ["boolean", "null"] },
+      },
+    },
+    summary: { type: "string" },
+    citations: { type: "array", items: { type: "object", required: ["index", "id"] } },
+    model: { type: ["string", "null"] },
+  },
+};
+
+// POST /api/v1/escalation/match. category narrows the rows to one issue type; severity is passed to
+// the match as a tie-breaker between otherwise similar rows.
+export const escalationMatchRequestSchema = {
+  $id: "EscalationMatchRequest",
+  type: "object",
+  required: ["channel", "situation"],
+  additionalProperties: false,
+  properties: {
+    channel: { enum: ["voice", "ticket"] },
+    category: { type: "string", maxLength: 200 },
+    situation: { type: "string", minLength: 5, maxLength: 4000 },
+    severity: { enum: ESCALATION_SEVERITIES },
+    mode: { enum: ["cloud", "local"] },
+    client: { type: "object" },
+  },
+};
+
+// POST /api/v1/notes/write and /api/v1/notes/expand
+export const noteWriteRequestSchema = {
+  $id: "NoteWriteRequest",
+  type: "object",
+  required: ["description"],
+  additionalProperties: false,
+  properties: {
+    description: { type: "string", minLength: 10, maxLength: 6000 },
+    mode: { enum: ["cloud", "local"] },
+    client: { type: "object" },
+  },
+};
+
+export const noteExpandRequestSchema = {
+  $id: "NoteExpandRequest",
+  type: "object",
+  required: ["note"],
+  additionalProperties: false,
+  properties: {
+    note: { type: "string", minLength: 1, maxLength: 6000 },
+    client: { type: "object" },
+  },
+};
+
+// server/workflows/*.json (checked at startup, not per request)
+const workflowStepSchema = {
+  type: "object",
+  required: ["title", "sources"],
+  additionalProperties: false,
+  properties: {
+    title: { type: "string", minLength: 1 },
+    say: { type: "array", items: { type: "string" } },
+    do: { type: "array", items: { type: "string" } },
+    sources: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["file"],
+        additionalProperties: false,
+        properties: {
+          file: { type: "string" },
+          slides: { type: "array", items: { type: "integer", minimum: 1 } },
+        },
+      },
+    },
+    options: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["label", "next"],
+        additionalProperties: false,
+        properties: { label: { type: "string" }, next: { type: "string" } },
+      },
+    },
+  },
+};
+
+export const workflowSchema = {
+  $id: "Workflow",
+  type: "object",
+  required: ["id", "title", "start", "steps"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", pattern: "^[a-z0-9-]+$" },
+    title: { type: "string" },
+    summary: { type: "string" },
+    keywords: { type: "array", items: { type: "string" } },
+    start: { type: "string" },
+    steps: { type: "object", minProperties: 1, additionalProperties: workflowStepSchema },
+  },
+};
+
+// server/guardrails.json (checked at load, like the workflows). Patterns are case-insensitive
+// regular expressions; see server/guardrails.js for how when / forbid / unless / require combine.
+const patternList = { type: "array", minItems: 1, items: { type: "string", minLength: 1 } };
+
+export const guardrailRulesSchema = {
+  $id: "GuardrailRules",
+  type: "object",
+  required: ["rules"],
+  additionalProperties: false,
+  properties: {
+    rules: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "title", "severity", "message"],
+        anyOf: [{ required: ["forbid"] }, { required: ["require"] }, { required: ["detect"] }],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", pattern: "^[a-z0-9-]+$" },
+          title: { type: "string", minLength: 1 },
+          severity: { enum: ["warn", "block"] },
+          message: { type: "string", minLength: 1 },
+          when: patternList,
+          forbid: patternList,
+          unless: patternList,
+          require: patternList,
+          detect: { type: "array", minItems: 1, items: { enum: ["card"] } },
+          sources: workflowStepSchema.properties.sources,
+        },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const checkRequest = ajv.compile(chatRequestSchema);
+const checkResponse = ajv.compile(chatResponseSchema);
+const checkFeedback = ajv.compile(feedbackRequestSchema);
+const checkReview = ajv.compile(feedbackReviewSchema);
+const checkQaGrade = ajv.compile(qaGradeRequestSchema);
+const checkQaGradeResponse = ajv.compile(qaGradeResponseSchema);
+const checkEscalationMatch = ajv.compile(escalationMatchRequestSchema);
+const checkNoteWrite = ajv.compile(noteWriteRequestSchema);
+const checkNoteExpand = ajv.compile(noteExpandRequestSchema);
+const checkWorkflow = ajv.compile(workflowSchema);
+const checkGuardrailRules = ajv.compile(guardrailRulesSchema);
+
+function describeErrors(errors) {
+  return (errors || []).map((e) => `${e.instancePath || "(body)"} ${e.message}`);
+}
+
+export function validateChatRequest(body) {
+  const ok = checkRequest(body);
+  return { ok, errors: ok ? [] : describeErrors(checkRequest.errors) };
+}
+
+export function validateChatResponse(body) {
+  const ok = checkResponse(body);
+  return { ok, errors: ok ? [] : describeErrors(checkResponse.errors) };
+}
+
+export function validateFeedbackRequest(body) {
+  const ok = checkFeedback(body);
+  return { ok, errors: ok ? [] : describeErrors(checkFeedback.errors) };
+}
+
+export function validateFeedbackReview(body) {
+  const ok = checkReview(body);
+  return { ok, errors: ok ? [] : describeErrors(checkReview.errors) };
+}
+
+export function validateQaGradeRequest(body) {
+  const ok = checkQaGrade(body);
+  return { ok, errors: ok ? [] : describeErrors(checkQaGrade.errors) };
+}
+
+export function validateQaGradeResponse(body) {
+  const ok = checkQaGradeResponse(body);
+  return { ok, errors: ok ? [] : describeErrors(checkQaGradeResponse.errors) };
+}
+
+export function validateEscalationMatchRequest(body) {
+  const ok = checkEscalationMatch(body);
+  return { ok, errors: ok ? [] : describeErrors(checkEscalationMatch.errors) };
+}
+
+export function validateNoteWriteRequest(body) {
+  const ok = checkNoteWrite(body);
+  return { ok, errors: ok ? [] : describeErrors(checkNoteWrite.errors) };
+}
+
+export function validateNoteExpandRequest(body) {
+  const ok = checkNoteExpand(body);
+  return { ok, errors: ok ? [] : describeErrors(checkNoteExpand.errors) };
+}
+
+export function validateWorkflow(flow) {
+  const ok = checkWorkflow(flow);
+  return { ok, errors: ok ? [] : describeErrors(checkWorkflow.errors) };
+}
+
+export function validateGuardrailRules(rules) {
+  const ok = checkGuardrailRules(rules);
+  return { ok, errors: ok ? [] : describeErrors(checkGuardrailRules.errors) };
+}
+
+export function toUsage(usage) {
+  if (!usage) return null;
+  return { inputTokens: usage.input_tokens ?? 0, outputTokens: usage.output_tokens ?? 0 };
+}
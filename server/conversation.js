@@ -0,0 +1,55 @@
+// Builds the Anthropic `messages` array for a follow-up question.
+// The client sends earlier turns as `history: [{ role, content }]`; we clean them up,
+// keep the newest turns that fit the token budget and append the current question.
+
+export const HISTORY_TOKEN_BUDGET = 6000;
+const MAX_TURN_CHARS = 8000;
+
+// Rough estimate (~4 chars per token); good enough for trimming, no tokenizer needed.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const turns = [];
+  for (const t of history) {
+    const role = t?.role === "assistant" ? "assistant" : t?.role === "user" ? "user" : null;
+    const content = String(t?.content ?? t?.text ?? "").trim();
+    if (!role || !content) continue;
+
+    const clipped = content.length > MAX_TURN_CHARS ? content.slice(0, MAX_TURN_CHARS) + "…" : content;
+    const prev = turns[turns.length - 1];
+    // Anthropic requires alternating roles; merge back-to-back turns.
+    if (prev?.role === role) prev.content += `\n\n${clipped}`;
+    else turns.push({ role, content: clipped });
+  }
+  return turns;
+}
+
+export function buildMessages(history, question, { tokenBudget = HISTORY_TOKEN_BUDGET } = {}) {
+  const turns = normalizeHistory(history);
+
+  // Walk back from the newest turn and keep what fits.
+  let used = estimateTokens(question);
+  let start = turns.length;
+  while (start > 0 && used + estimateTokens(turns[start - 1].content) <= tokenBudget) {
+    used += estimateTokens(turns[start - 1].content);
+    start--;
+  }
+
+  const kept = turns.slice(start);
+  while (kept.length && kept[0].role !== "user") kept.shift();
+
+  // A trailing user turn never got an answer (error or stop); the new question replaces it.
+  if (kept[kept.length - 1]?.role === "user") kept.pop();
+  return [...kept, { role: "user", content: question }];
+}
+
+// Follow-ups like "what if the hotel refuses?" say little on their own,
+// so retrieval also looks at the previous question.
+export function retrievalQuery(history, question) {
+  const prevUser = [...normalizeHistory(history)].reverse().find((t) => t.role === "user");
+  return prevUser ? `${prevUser.content}\n${question}` : question;
+}
@@ -0,0 +1,61 @@
+import fs from "fs";
+import path from "path";
+import { redactConversation } from "../shared/redaction.js";
+
+// Server-side mirror of the browser's conversation history: one JSON file per conversation.
+// Lets supervisors find a thread even after the agent's browser storage is cleared.
+// Guest details are redacted before a thread is written (shared/redaction.js).
+
+const ID_RE = /^[A-Za-z0-9_-]{1,80}$/;
+
+export function isValidConversationId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+export function createConversationStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  function get(id) {
+    if (!isValidConversationId(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // agent: only that agent's threads (unset: everyone's)
+  function list({ q = "", agent } = {}) {
+    const needle = String(q).toLowerCase().trim();
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => get(f.slice(0, -5)))
+      .filter(Boolean)
+      .filter((c) => agent === undefined || c.agent === agent)
+      .filter((c) => !needle || JSON.stringify([c.title, c.messages]).toLowerCase().includes(needle))
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+      .map(({ messages, ...meta }) => ({ ...meta, messageCount: messages?.length || 0 }));
+  }
+
+  function save(record) {
+    const conversation = redactConversation(record);
+    const tmp = `${fileFor(conversation.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(conversation));
+    fs.renameSync(tmp, fileFor(conversation.id));
+    return conversation;
+  }
+
+  function remove(id) {
+    if (!isValidConversationId(id)) return false;
+    try {
+      fs.unlinkSync(fileFor(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return { get, list, save, remove };
+}
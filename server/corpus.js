@@ -0,0 +1,138 @@
+import path from "path";
+import { buildCitations, createBm25Index, loadChunks } from "./retrieval.js";
+import { buildMatrixCitations, formatMatrixRow, loadServiceMatrix, parseEscalationMatrix } from "./matrix.js";
+import { buildQaCitations, formatCriterion, loadQaForm } from "./qaForms.js";
+
+// Everything the doc chips in the UI refer to, loaded once and indexed for search.
+// Cloud Mode turns a retrieval result into prompt excerpts; Local Mode answers from it directly.
+
+export const MATRIX_FILE = "Service Matrix's 2026.xlsx";
+
+// The escalation lookup routes from these alongside the service matrix's voice/ticket rows.
+export const ESCALATION_MATRIX_FILES = [
+  { file: "voice-escalation-matrix-2025-sept.xlsx", channel: "voice", category: "Escalation matrix (Sept 2025)" },
+  { file: "ticket-escalation-matrix-2025-sept.xlsx", channel: "ticket", category: "Escalation matrix (Sept 2025)" },
+];
+
+const QA_FORMS = [
+  { key: "qaVoice", label: "QA Voice", file: "qa-voice.xlsx" },
+  { key: "qaGroup", label: "QA Groups", file: "qa-group.xlsx" },
+];
+
+const TOP_K = 4;
+const MATRIX_TOP_K = 3;
+const QA_TOP_K = 2;
+const MAX_EXCERPT_CHARS = 4000;
+
+export const BASE_SYSTEM = "You are a helpful call-center compliance assistant. Answer practically.";
+
+function safeLoad(what, fn, fallback) {
+  try {
+    return fn();
+  } catch (e) {
+    console.error(`Failed to load ${what}:`, e?.message || e);
+    return fallback;
+  }
+}
+
+export function createCorpus(publicDir) {
+  const chunks = safeLoad("training chunks", () => loadChunks(path.join(publicDir, "training_guide.chunks.jsonl")), []);
+  const chunkIndex = createBm25Index(chunks);
+
+  const matrixRecords = safeLoad("service matrix", () => loadServiceMatrix(path.join(publicDir, MATRIX_FILE)), []);
+  // scenario is listed twice so it outweighs the long, repetitive instructions text
+  const matrixIndex = createBm25Index(matrixRecords, { fields: ["scenario", "scenario", "category", "action"] });
+
+  const escalationRecords = [
+    ...matrixRecords.filter((r) => r.channel),
+    ...ESCALATION_MATRIX_FILES.flatMap((f) => parseEscalationMatrix(chunks, f)),
+  ];
+  const escalationIndex = createBm25Index(escalationRecords, { fields: ["scenario", "scenario", "category", "action"] });
+
+  const qaForms = {};
+  for (const f of QA_FORMS) {
+    const form = safeLoad(f.label, () => loadQaForm(path.join(publicDir, f.file), f), null);
+    if (form) qaForms[f.key] = form;
+  }
+  const qaCriteria = Object.values(qaForms).flatMap((f) => f.criteria.map((c) => ({ ...c, text: formatCriterion(c) })));
+  const qaIndex = createBm25Index(qaCriteria, { fields: ["title", "text"] });
+
+  // Only the docs the agent enabled in the footer may ground the answer.
+  function retrieve(question, docs = {}) {
+    const useGuide = !!(docs.trainingChunks || docs.trainingTxt);
+    const useMatrix = !!docs.matrix;
+    const qaKeys = QA_FORMS.map((f) => f.key).filter((k) => docs[k]);
+
+    const qaHits = qaKeys.length
+      ? qaIndex
+          .search(question, { limit: qaCriteria.length })
+          .filter((h) => qaKeys.includes(h.doc.form))
+          .slice(0, QA_TOP_K)
+      : [];
+
+    return {
+      selected: useGuide || useMatrix || qaKeys.length > 0,
+      hits: useGuide ? chunkIndex.search(question, { limit: TOP_K }) : [],
+      matrixHits: useMatrix ? matrixIndex.search(question, { limit: MATRIX_TOP_K }) : [],
+      qaHits,
+    };
+  }
+
+  function stats() {
+    return {
+      chunks: chunkIndex.size,
+      matrixRows: matrixRecords.length,
+      escalationRows: escalationRecords.length,
+      qaCriteria: Object.fromEntries(Object.entries(qaForms).map(([k, f]) => [k, f.criteria.length])),
+    };
+  }
+
+  return { chunks, chunkIndex, matrixRecords, matrixIndex, escalationRecords, escalationIndex, qaForms, retrieve, stats };
+}
+
+export function hasContext({ hits, matrixHits, qaHits }) {
+  return hits.length + matrixHits.length + qaHits.length > 0;
+}
+
+// Excerpt numbering is shared by the prompt and the citations: guide, then matrix, then QA.
+export function buildSystemPrompt(context) {
+  const { selected, hits, matrixHits, qaHits } = context;
+  if (!selected) return BASE_SYSTEM;
+
+  if (!hasContext(context)) {
+    return `${BASE_SYSTEM}
+The agent selected HotelPlanner documents, but no section of them matched this question.
+Say that the selected documents do not cover it and suggest escalating to a supervisor. Do not invent policy.`;
+  }
+
+  let index = 0;
+  const excerpt = (id, source, text) => `<excerpt index="${++index}" id="${id}" source="${source}">\n${text}\n</excerpt>`;
+
+  const blocks = [
+    ...hits.map(({ doc }) =>
+      excerpt(
+        doc.id,
+        doc.source_rel,
+        doc.text.length > MAX_EXCERPT_CHARS ? doc.text.slice(0, MAX_EXCERPT_CHARS) + "…" : doc.text
+      )
+    ),
+    ...matrixHits.map(({ doc }) => excerpt(doc.id, MATRIX_FILE, formatMatrixRow(doc))),
+    ...qaHits.map(({ doc }) => excerpt(doc.id, doc.file, `QA criterion: ${doc.text}`)),
+  ];
+
+  return `${BASE_SYSTEM}
+Answer ONLY from the HotelPlanner excerpts below. Follow the procedures exactly as written.
+Service matrix excerpts state the exact escalation path (Slack, Refund Queue, ticket, supervisor); repeat it as written.
+If the excerpts do not cover the question, say so instead of answering from general knowledge.
+Cite the excerpt each statement comes from with its index in square brackets, e.g. [1] or [2].
+
+${blocks.join("\n\n")}`;
+}
+
+export function buildContextCitations({ hits, matrixHits, qaHits }, question) {
+  return [
+    ...buildCitations(hits, question),
+    ...buildMatrixCitations(matrixHits, { source: MATRIX_FILE, startIndex: hits.length + 1 }),
+    ...buildQaCitations(qaHits, { startIndex: hits.length + matrixHits.length + 1 }),
+  ];
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+// Numbered releases of the training corpus in DATA_DIR/corpus, so compliance can show which
+// policy text agents were given on a given date (usage entries and answers carry the number).
+//   versions.json   [{ version, createdAt, by, reason, sha256, chunks, sources, updated, removed }]
+//   v<n>.jsonl      the chunks as they were served, same format as training_guide.chunks.jsonl
+// A version is recorded only when the chunk set changes: an ingest, or a deploy with new public files.
+
+// Same filter as loadChunks, so the proxy and the ingest tools hash the same set.
+const served = (chunks) =>
+  chunks
+    .filter((c) => c?.id && String(c.text || "").trim())
+    .map(({ id, source_rel, type, text }) => ({ id, source_rel, type, text }));
+
+export function corpusHash(chunks) {
+  const h = createHash("sha256");
+  for (const c of served(chunks)) h.update(`${c.id}\n${c.source_rel}\n${c.text}\n`);
+  return h.digest("hex");
+}
+
+function writeAtomic(file, content) {
+  fs.writeFileSync(`${file}.tmp`, content);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+export function createCorpusVersions(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const indexFile = path.join(dir, "versions.json");
+  const fileFor = (version) => path.join(dir, `v${version}.jsonl`);
+
+  // Read on every call: the ingest CLI and the proxy both write here.
+  function list() {
+    try {
+      return JSON.parse(fs.readFileSync(indexFile, "utf8"));
+    } catch {
+      return [];
+    }
+  }
+
+  const latest = () => list().at(-1) || null;
+  const get = (version) => list().find((v) => v.version === Number(version)) || null;
+
+  // The version agents were being given at `ts` (epoch ms), or null before the first one.
+  function at(ts) {
+    return (
+      list()
+        .filter((v) => v.createdAt <= ts)
+        .at(-1) || null
+    );
+  }
+
+  function load(version) {
+    const raw = fs.readFileSync(fileFor(version), "utf8");
+    return raw
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  // -> the new entry, or the latest one when nothing changed
+  function record(chunks, { by = null, reason = null, updated = [], removed = [] } = {}) {
+    const set = served(chunks);
+    const sha256 = corpusHash(set);
+    const versions = list();
+    const last = versions.at(-1);
+    if (last?.sha256 === sha256) return last;
+
+    const entry = {
+      version: (last?.version || 0) + 1,
+      createdAt: Date.now(),
+      by,
+      reason,
+      sha256,
+      chunks: set.length,
+      sources: new Set(set.map((c) => c.source_rel)).size,
+      updated,
+      removed,
+    };
+    writeAtomic(fileFor(entry.version), set.map((c) => JSON.stringify(c)).join("\n") + "\n");
+    writeAtomic(indexFile, JSON.stringify([...versions, entry], null, 2) + "\n");
+    return entry;
+  }
+
+  return { list, latest, get, at, load, record };
+}
+
+const groupBySource = (chunks) => {
+  const out = new Map();
+  for (const c of chunks) {
+    if (!out.has(c.source_rel)) out.set(c.source_rel, new Map());
+    out.get(c.source_rel).set(c.id, c.text);
+  }
+  return out;
+};
+
+// Chunks are matched by id within a source file. Unchanged sources are only counted.
+// -> { sources: [{ source_rel, status, added, removed, modified }], totals }
+export function diffCorpus(before, after) {
+  const a = groupBySource(before);
+  const b = groupBySource(after);
+  const names = [...new Set([...a.keys(), ...b.keys()])].sort((x, y) => x.localeCompare(y));
+  const totals = { added: 0, removed: 0, modified: 0, unchangedSources: 0 };
+  const sources = [];
+
+  for (const source_rel of names) {
+    const old = a.get(source_rel) || new Map();
+    const cur = b.get(source_rel) || new Map();
+    const added = [...cur].filter(([id]) => !old.has(id)).map(([id, text]) => ({ id, text }));
+    const removed = [...old].filter(([id]) => !cur.has(id)).map(([id, text]) => ({ id, text }));
+    const modified = [...cur]
+      .filter(([id, text]) => old.has(id) && old.get(id) !== text)
+      .map(([id, text]) => ({ id, before: old.get(id), after: text }));
+
+    if (!added.length && !removed.length && !modified.length) {
+      totals.unchangedSources++;
+      continue;
+    }
+    totals.added += added.length;
+    totals.removed += removed.length;
+    totals.modified += modified.length;
+    const status = !old.size ? "added" : !cur.size ? "removed" : "modified";
+    sources.push({ source_rel, status, added, removed, modified });
+  }
+  return { sources, totals };
+}
@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import { Buffer } from "buffer";
+import XLSX from "xlsx";
+import { corpusHash } from "./corpusVersions.js";
+
+// Training document ingestion: .pptx / .docx / .xlsx -> the two public corpus files.
+//   training_guide.txt           "## SOURCE:" sections, one per document, in file-name order
+//   training_guide.chunks.jsonl  {id, source_rel, type, text}, ids "<file>::chunk<n>"
+// Uploads replace their own source and leave every other source as it was, so a monthly deck
+// refresh does not need the full original folder. Every rebuild is recorded as a numbered corpus
+// version (corpusVersions.js); the number is stamped in the guide and training_guide.manifest.json.
+
+export const GUIDE_FILE = "training_guide.txt";
+export const CHUNKS_FILE = "training_guide.chunks.jsonl";
+export const MANIFEST_FILE = "training_guide.manifest.json";
+export const DOC_TYPES = ["pptx", "docx", "xlsx"];
+
+const CHUNK_CHARS = 1500;
+const RULE = "-".repeat(80);
+const TITLE = "HotelPlanner Training Guide - Compiled Text";
+
+const typeOf = (name) => path.extname(String(name)).slice(1).toLowerCase();
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+function decodeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return ENTITIES[e] ?? whole;
+  });
+}
+
+// Office files are zips; SheetJS ships a zip reader (CFB), so no extra dependency is needed.
+function readZip(buffer) {
+  const zip = XLSX.CFB.read(buffer, { type: "buffer" });
+  const files = new Map();
+  zip.FullPaths.forEach((p, i) => {
+    const entry = zip.FileIndex[i];
+    if (entry?.type === 2) files.set(p.replace(/^Root Entry\//, ""), Buffer.from(entry.content).toString("utf8"));
+  });
+  return files;
+}
+
+// Text of one OOXML paragraph: runs joined, explicit breaks and tabs kept as whitespace.
+function paragraphText(xml, ns) {
+  const re = new RegExp(`<${ns}:t(?:\\s[^>]*)?>([\\s\\S]*?)</${ns}:t>|<${ns}:(br|tab)\\b[^>]*/>`, "g");
+  let out = "";
+  for (const m of xml.matchAll(re)) out += m[1] != null ? decodeXml(m[1]) : m[2] === "br" ? "\n" : " ";
+  return out.replace(/[ \t]+/g, " ").trim();
+}
+
+const paragraphs = (xml, ns) =>
+  [...xml.matchAll(new RegExp(`<${ns}:p[ >][\\s\\S]*?</${ns}:p>`, "g"))].map((m) => paragraphText(m[0], ns));
+
+// Paragraphs become lines; table rows become "cell | cell" lines, like the original export.
+function ooxmlLines(xml, ns) {
+  const lines = [];
+  for (const part of xml.split(new RegExp(`(<${ns}:tbl>[\\s\\S]*?</${ns}:tbl>)`))) {
+    if (part.startsWith(`<${ns}:tbl>`)) {
+      for (const row of part.matchAll(new RegExp(`<${ns}:tr[ >][\\s\\S]*?</${ns}:tr>`, "g"))) {
+        const cells = [...row[0].matchAll(new RegExp(`<${ns}:tc[ >][\\s\\S]*?</${ns}:tc>`, "g"))].map((c) =>
+          paragraphs(c[0], ns).filter(Boolean).join(" ")
+        );
+        if (cells.some(Boolean)) lines.push(cells.join(" | "));
+      }
+    } else {
+      lines.push(...paragraphs(part, ns).filter(Boolean));
+    }
+  }
+  return lines;
+}
+
+// Slides in presentation order (presentation.xml), not in slideN.xml file-name order.
+function extractPptx(buffer) {
+  const files = readZip(buffer);
+  const rels = new Map(
+    [...(files.get("ppt/_rels/presentation.xml.rels") || "").matchAll(/<Relationship\b[^>]*>/g)].map((m) => [
+      m[0].match(/Id="([^"]+)"/)?.[1],
+      m[0].match(/Target="([^"]+)"/)?.[1],
+    ])
+  );
+  const order = [...(files.get("ppt/presentation.xml") || "").matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+    .map((m) => rels.get(m[1]))
+    .filter(Boolean)
+    .map((target) => path.posix.join("ppt", target.replace(/^\/?ppt\//, "")));
+  if (!order.length) throw new Error("No slides found (is this a .pptx file?)");
+
+  return order.map((file, i) => ({ label: `[Slide ${i + 1}]`, lines: ooxmlLines(files.get(file) || "", "a") }));
+}
+
+function extractDocx(buffer) {
+  const xml = readZip(buffer).get("word/document.xml");
+  if (!xml) throw new Error("word/document.xml is missing (is this a .docx file?)");
+  return [{ label: null, lines: ooxmlLines(xml, "w") }];
+}
+
+function extractXlsx(buffer) {
+  const wb = XLSX.read(buffer, { type: "buffer" });
+  return wb.SheetNames.map((name) => ({
+    label: `[Sheet: ${name}]`,
+    lines: XLSX.utils
+      .sheet_to_json(wb.Sheets[name], { header: 1, defval: "", blankrows: false })
+      .map((row) => row.map((c) => String(c).replace(/\s+/g, " ").trim()).filter(Boolean).join(" | "))
+      .filter(Boolean),
+  }));
+}
+
+// -> { source_rel, type, sections: [{ label, lines }] }
+export function extractDocument(name, buffer) {
+  const source_rel = path.basename(String(name));
+  const type = typeOf(source_rel);
+  const extract = { pptx: extractPptx, docx: extractDocx, xlsx: extractXlsx }[type];
+  if (!extract) throw new Error(`Unsupported file type '.${type}' (expected ${DOC_TYPES.join(", ")})`);
+  let sections;
+  try {
+    sections = extract(buffer);
+  } catch (e) {
+    throw new Error(`Could not read ${source_rel}: ${e?.message || e}`);
+  }
+  if (!sections.some((s) => s.lines.length)) throw new Error(`No text found in ${source_rel}`);
+  return { source_rel, type, sections };
+}
+
+function sectionText(section) {
+  return [section.label, ...section.lines].filter((l) => l != null).join("\n");
+}
+
+// The section as it appears in training_guide.txt (without the header and rules).
+export function documentText(doc) {
+  return doc.sections.map(sectionText).join("\n\n");
+}
+
+// Whole slides are packed up to CHUNK_CHARS so "[Slide N]" markers stay intact for citations;
+// sheets and documents are split by rows/paragraphs, each sheet chunk repeating its "[Sheet: …]".
+export function chunkDocument(doc, maxChars = CHUNK_CHARS) {
+  const texts = [];
+  let current = "";
+  const flush = () => {
+    if (current.trim()) texts.push(current.trim());
+    current = "";
+  };
+  const add = (piece, sep) => {
+    if (current && current.length + sep.length + piece.length > maxChars) flush();
+    current = current ? current + sep + piece : piece;
+  };
+
+  if (doc.type === "pptx") {
+    for (const s of doc.sections) add(sectionText(s), "\n\n");
+  } else {
+    for (const s of doc.sections) {
+      flush();
+      const head = s.label ? `${s.label}\n` : "";
+      for (const line of s.lines) {
+        if (!current && head) current = head.trim();
+        add(line, "\n");
+      }
+    }
+  }
+  flush();
+
+  return texts.map((text, i) => ({ id: `${doc.source_rel}::chunk${i + 1}`, source_rel: doc.source_rel, type: doc.type, text }));
+}
+
+// "## SOURCE:" sections of the current guide, keyed by file name.
+function readGuideSections(file) {
+  const sections = new Map();
+  let text = "";
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return sections;
+  }
+  const re = /^## SOURCE: (.+?)\s+\(type=(\w+)\)\n-+\n([\s\S]*?)\n-+\n?(?=\n## SOURCE: |\s*$)/gm;
+  for (const m of text.matchAll(re)) sections.set(m[1], { type: m[2], body: m[3] });
+  return sections;
+}
+
+// Lines are kept verbatim so sources that were not re-ingested stay byte-identical.
+function readChunksBySource(file) {
+  const bySource = new Map();
+  let raw = "";
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    return bySource;
+  }
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const c = JSON.parse(line);
+      if (!bySource.has(c.source_rel)) bySource.set(c.source_rel, []);
+      bySource.get(c.source_rel).push({ ...c, line });
+    } catch {
+      // the corpus loader skips malformed lines too
+    }
+  }
+  return bySource;
+}
+
+function writeAtomic(file, content) {
+  fs.writeFileSync(`${file}.tmp`, content);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+export function readManifest(publicDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(publicDir, MANIFEST_FILE), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// add: [{ name, buffer }] (extracted first, so one bad file aborts before anything is written)
+// remove: ["file.pptx", ...]; versions: a createCorpusVersions store. -> the new manifest
+export function rebuildTrainingGuide(publicDir, { add = [], remove = [], by = null, versions }) {
+  const docs = add.map((f) => extractDocument(f.name, f.buffer));
+  const guideFile = path.join(publicDir, GUIDE_FILE);
+  const chunksFile = path.join(publicDir, CHUNKS_FILE);
+
+  const sections = readGuideSections(guideFile);
+  const chunks = readChunksBySource(chunksFile);
+  const missing = remove.filter((name) => !sections.has(name) && !chunks.has(name));
+  if (missing.length) throw new Error(`Not in the training guide: ${missing.join(", ")}`);
+  for (const name of remove) {
+    sections.delete(name);
+    chunks.delete(name);
+  }
+  for (const doc of docs) {
+    sections.set(doc.source_rel, { type: doc.type, body: documentText(doc) });
+    chunks.set(doc.source_rel, chunkDocument(doc).map((c) => ({ ...c, line: JSON.stringify(c) })));
+  }
+
+  const names = [...new Set([...sections.keys(), ...chunks.keys()])].sort((a, b) => a.localeCompare(b));
+  const list = names.flatMap((n) => chunks.get(n) || []);
+  const updated = docs.map((d) => d.source_rel);
+  const { version } = versions.record(list, { by, reason: "ingest", updated, removed: remove });
+  const now = new Date();
+
+  const guide = [
+    TITLE,
+    `Generated: ${now.toISOString().slice(0, 19)}`,
+    `Version: ${version}`,
+    `Sources: ${names.length} documents`,
+    "=".repeat(80),
+    "",
+    ...names
+      .filter((n) => sections.has(n))
+      .map((n) => `## SOURCE: ${n}  (type=${sections.get(n).type})\n${RULE}\n${sections.get(n).body}\n${RULE}\n`),
+  ].join("\n");
+  const lines = list.map((c) => c.line);
+
+  const manifest = {
+    version,
+    generatedAt: now.toISOString(),
+    generatedBy: by,
+    updated,
+    removed: remove,
+    sources: names.map((n) => ({
+      source_rel: n,
+      type: sections.get(n)?.type || chunks.get(n)?.[0]?.type || typeOf(n),
+      chunks: chunks.get(n)?.length || 0,
+      sha256: corpusHash(chunks.get(n) || []),
+    })),
+  };
+
+  writeAtomic(guideFile, guide);
+  writeAtomic(chunksFile, lines.join("\n") + "\n");
+  writeAtomic(path.join(publicDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
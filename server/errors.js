@@ -0,0 +1,81 @@
+import { ERROR_CODES, errorInfo } from "../shared/errorCodes.js";
+
+// Maps Anthropic SDK errors and the proxy's own failures onto the codes in shared/errorCodes.js,
+// so the UI never has to sniff error messages.
+
+// Errors the proxy raises itself: `throw proxyError("SERVER_CONFIG", "...")`.
+export function proxyError(code, message, { retryAfter = null, details } = {}) {
+  const err = new Error(message || errorInfo(code).message);
+  err.code = code;
+  err.retryAfter = retryAfter;
+  if (details) err.details = details;
+  return err;
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] ?? null;
+}
+
+// Retry-After is seconds or an HTTP date; answer in whole seconds.
+export function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, Math.ceil(secs));
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, Math.ceil((at - Date.now()) / 1000));
+}
+
+function upstreamCode(status, type, message) {
+  // Anthropic reports an empty balance as a plain 400 invalid_request_error.
+  if (/credit balance|billing|purchase credits|insufficient.*credit/i.test(message)) return ERROR_CODES.NO_CREDITS;
+  if (status === 401 || status === 403 || type === "authentication_error" || type === "permission_error") {
+    return ERROR_CODES.AUTH;
+  }
+  if (status === 429 || type === "rate_limit_error") return ERROR_CODES.RATE_LIMITED;
+  if (status === 404 || type === "not_found_error") return ERROR_CODES.MODEL_NOT_FOUND;
+  if (status === 413 || type === "request_too_large") return ERROR_CODES.PAYLOAD_TOO_LARGE;
+  if (status === 529 || type === "overloaded_error") return ERROR_CODES.UPSTREAM_OVERLOADED;
+  if (status === 400) return ERROR_CODES.BAD_REQUEST;
+  return ERROR_CODES.UPSTREAM_ERROR;
+}
+
+// -> { code, status, message, retryAfter, retryable }
+export function classifyError(e) {
+  if (e?.code && ERROR_CODES[e.code]) {
+    const info = errorInfo(e.code);
+    return {
+      code: e.code,
+      status: info.status,
+      message: e.message,
+      retryAfter: e.retryAfter ?? null,
+      retryable: info.retryable,
+    };
+  }
+
+  let code;
+  // express.json() failures
+  if (e?.type === "entity.too.large") code = ERROR_CODES.PAYLOAD_TOO_LARGE;
+  else if (e?.type === "entity.parse.failed") code = ERROR_CODES.BAD_REQUEST;
+  else if (e?.name === "APIConnectionTimeoutError") code = ERROR_CODES.UPSTREAM_TIMEOUT;
+  else if (e?.name === "APIConnectionError") code = ERROR_CODES.UPSTREAM_UNAVAILABLE;
+  else if (e?.status) {
+    const type = e?.error?.error?.type || e?.error?.type || "";
+    const message = e?.error?.error?.message || e?.message || "";
+    code = upstreamCode(Number(e.status), type, message);
+  } else code = ERROR_CODES.INTERNAL;
+
+  const info = errorInfo(code);
+  const retryAfter =
+    parseRetryAfter(readHeader(e?.headers, "retry-after")) ??
+    (code === ERROR_CODES.UPSTREAM_OVERLOADED ? 5 : null);
+
+  return {
+    code,
+    status: info.status,
+    message: e?.error?.error?.message || e?.message || info.message,
+    retryAfter,
+    retryable: info.retryable,
+  };
+}
@@ -0,0 +1,96 @@
+import { filterMatrix, isEscalationUsed } from "./matrix.js";
+
+// Escalation lookup on top of the parsed service matrix and the Sept 2025 voice/ticket escalation
+// matrices (see matrix.js, corpus.js). The route an agent gets is always the matrix row verbatim;
+// Claude is only asked which row a free-text situation belongs to, and its pick must be one of the
+// candidate row ids.
+
+export const ESCALATION_CHANNELS = ["voice", "ticket"];
+export const MATCH_CONFIDENCE = ["high", "medium", "low"];
+export const ESCALATION_SEVERITIES = ["low", "medium", "high", "urgent"];
+
+const PATH_LABELS = {
+  slack: "Slack",
+  refundQueue: "Refund Queue",
+  createTicket: "Create a Ticket",
+  supervisor: "Supervisor",
+  vipres: "VIPRES",
+  ticketReview: "Email to TicketReview",
+};
+
+export function escalationRoute(record) {
+  return {
+    id: record.id,
+    channel: record.channel,
+    category: record.category,
+    scenario: record.scenario,
+    instructions: record.action,
+    paths: Object.entries(record.escalation).map(([key, value]) => ({
+      key,
+      label: PATH_LABELS[key] || key,
+      value,
+      used: isEscalationUsed(value),
+    })),
+    escalationPath: record.escalationPath,
+    source: { file: record.file, sheet: record.sheet, row: record.row },
+  };
+}
+
+// channel -> issue types -> scenarios, in workbook order, for the lookup pickers.
+export function escalationOptions(records) {
+  return Object.fromEntries(
+    ESCALATION_CHANNELS.map((channel) => {
+      const categories = new Map();
+      for (const r of filterMatrix(records, { channel })) {
+        if (!categories.has(r.category)) categories.set(r.category, []);
+        categories.get(r.category).push({ id: r.id, scenario: r.scenario });
+      }
+      return [channel, [...categories].map(([category, scenarios]) => ({ category, scenarios }))];
+    })
+  );
+}
+
+// Rows the situation may be mapped to, best BM25 match first (every row of the channel is
+// listed so Claude can still pick one the keywords missed).
+export function matchCandidates(records, matrixIndex, { channel, category }, situation) {
+  const rows = filterMatrix(records, { channel, category });
+  const rank = new Map(
+    matrixIndex.search(situation, { limit: records.length }).map((h, i) => [h.doc.id, i])
+  );
+  return rows.sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity));
+}
+
+export function buildMatchSystem(candidates) {
+  const rows = candidates.map((r) => `- ${r.id} | ${r.category} | ${r.scenario}`).join("\n");
+  return [
+    "You route call center situations to a row of the HotelPlanner escalation matrices.",
+    "Pick the single row whose scenario matches the agent's situation. Do not describe the escalation itself.",
+    "The agent may add a severity (low, medium, high, urgent); use it to choose between rows that differ only in urgency.",
+    'If no row fits, use "id": null.',
+    "",
+    'Reply with JSON only: {"id":"<row id>","confidence":"high|medium|low","reason":"one sentence"}',
+    "",
+    "Rows (id | issue type | scenario):",
+    rows,
+  ].join("\n");
+}
+
+// Anything that is not one of the candidate ids is treated as "no match", never guessed at.
+export function parseMatch(reply, candidates) {
+  const id = candidates.some((r) => r.id === reply?.id) ? reply.id : null;
+  const confidence = String(reply?.confidence || "").toLowerCase();
+  return {
+    id,
+    confidence: id && MATCH_CONFIDENCE.includes(confidence) ? confidence : id ? "low" : null,
+    reason: String(reply?.reason || "").trim(),
+  };
+}
+
+// Local Mode: the closest keyword match, always flagged low so the agent confirms the row.
+export function keywordMatch(matrixIndex, candidates, situation) {
+  const allowed = new Set(candidates.map((r) => r.id));
+  const best = matrixIndex.search(situation, { limit: matrixIndex.size }).find((h) => allowed.has(h.doc.id));
+  return best
+    ? { id: best.doc.id, confidence: "low", reason: "Closest keyword match in the matrix (Local Mode)." }
+    : { id: null, confidence: null, reason: "No matrix scenario shares words with this situation." };
+}
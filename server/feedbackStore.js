@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+import { createRedaction } from "../shared/redaction.js";
+
+// Agent feedback on answers: one JSON file per request id, so a changed vote replaces the old one
+// and trainers can move an item through the review queue (statuses in shared/feedback.js).
+
+const ID_RE = /^[A-Za-z0-9_-]{1,80}$/;
+
+export function createFeedbackStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  function get(requestId) {
+    if (!ID_RE.test(String(requestId || ""))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(requestId), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function write(item) {
+    const tmp = `${fileFor(item.requestId)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(item));
+    fs.renameSync(tmp, fileFor(item.requestId));
+    return item;
+  }
+
+  function list({ rating, status } = {}) {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => get(f.slice(0, -5)))
+      .filter(Boolean)
+      .filter((f) => (!rating || f.rating === rating) && (!status || f.status === status))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // Question, answer and comment are stored redacted; the trainer needs the gist, not the guest's card.
+  function redactTexts(feedback) {
+    const pii = createRedaction();
+    const out = { ...feedback };
+    for (const key of ["question", "answer", "comment"]) {
+      if (typeof out[key] === "string") out[key] = pii.redact(out[key]);
+    }
+    return out;
+  }
+
+  // A new vote on the same answer reopens it; the trainer's notes stay.
+  function save(vote) {
+    const feedback = redactTexts(vote);
+    const prev = get(feedback.requestId);
+    const now = Date.now();
+    return write({
+      ...prev,
+      reason: undefined,
+      comment: undefined,
+      ...feedback,
+      status: "open",
+      createdAt: prev?.createdAt || now,
+      updatedAt: now,
+    });
+  }
+
+  function review(requestId, { status, note, reviewer }) {
+    const prev = get(requestId);
+    if (!prev) return null;
+    return write({
+      ...prev,
+      status: status || prev.status,
+      reviewNote: note ?? prev.reviewNote ?? "",
+      reviewedBy: reviewer || prev.reviewedBy || null,
+      reviewedAt: Date.now(),
+      updatedAt: Date.now(),
+    });
+  }
+
+  return { get, list, save, review };
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import { validateGuardrailRules } from "./contract.js";
+import { findCardNumbers } from "../shared/redaction.js";
+
+// Compliance check on generated answers: server/guardrails.json (or GUARDRAILS_FILE) lists what an
+// answer must never say and what it must always offer. A rule matches when
+//   when     one pattern matches the question or the answer (no `when`: always considered)
+//   forbid   one pattern matches a sentence of the answer that no `unless` pattern also matches
+//   require  no pattern matches the answer
+//   detect   a detector fires on the answer ("card": a full, Luhn-valid card number)
+// "warn" findings are shown next to the answer; one "block" finding holds the answer back.
+
+const DETECTORS = {
+  card: (answer) => findCardNumbers(answer).length > 0,
+};
+
+const compile = (patterns = []) => patterns.map((p) => new RegExp(p, "i"));
+
+// "unless" is judged per sentence, so a caveat elsewhere in the answer does not excuse a promise.
+const sentencesOf = (text) => String(text || "").split(/(?<=[.!?])\s+|\n+/).filter((s) => s.trim());
+
+// A broken file is logged and checking is switched off; a broken pattern skips only its rule.
+export function loadGuardrails(file, chunks = []) {
+  let rules = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    const check = validateGuardrailRules(parsed);
+    if (!check.ok) throw new Error(check.errors.join("; "));
+    rules = parsed.rules;
+  } catch (e) {
+    console.error(`Failed to load guardrails ${file}:`, e?.message || e);
+  }
+
+  const known = new Set(chunks.map((c) => c.source_rel));
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push({
+        ...rule,
+        when: compile(rule.when),
+        forbid: compile(rule.forbid),
+        unless: compile(rule.unless),
+        require: compile(rule.require),
+        detect: rule.detect || [],
+        sources: rule.sources || [],
+      });
+      for (const s of rule.sources || []) {
+        if (known.size && !known.has(s.file)) console.warn(`[proxy] Guardrail ${rule.id}: ${s.file} is not in the training guide`);
+      }
+    } catch (e) {
+      console.error(`Failed to load guardrail ${rule.id}:`, e?.message || e);
+    }
+  }
+
+  // A partial answer (mid-stream) is judged on its finished sentences only, and `require` waits
+  // for the end: the missing part may still come.
+  function violates(rule, answer, question, partial) {
+    if (rule.when.length && !rule.when.some((re) => re.test(question) || re.test(answer))) return false;
+    if (rule.detect.some((d) => DETECTORS[d](answer))) return true;
+    if (!partial && rule.require.length && !rule.require.some((re) => re.test(answer))) return true;
+    const sentences = sentencesOf(answer);
+    if (partial && !/[.!?\n]\s*$/.test(answer)) sentences.pop();
+    return sentences.some((s) => rule.forbid.some((re) => re.test(s)) && !rule.unless.some((re) => re.test(s)));
+  }
+
+  // -> { status: "pass" | "warn" | "block", findings: [{ id, title, severity, message, sources }] }
+  function check(answer, { question = "", partial = false } = {}) {
+    const findings = compiled
+      .filter((rule) => violates(rule, answer, question, partial))
+      .map(({ id, title, severity, message, sources }) => ({ id, title, severity, message, sources }));
+    const status = findings.some((f) => f.severity === "block") ? "block" : findings.length ? "warn" : "pass";
+    return { status, findings };
+  }
+
+  return { rules: compiled.map((r) => r.id), check };
+}
+
+// What the agent sees instead of a blocked answer.
+export function blockedAnswer(findings) {
+  const reasons = findings.filter((f) => f.severity === "block").map((f) => `- **${f.title}.** ${f.message}`);
+  return [
+    "This answer was held back by the compliance check:",
+    "",
+    ...reasons,
+    "",
+    "Rephrase the question or check the cited training slides; ask a supervisor if you are unsure.",
+  ].join("\n");
+}
@@ -0,0 +1,106 @@
+import { createBm25Index, splitSlides, tokenize } from "./retrieval.js";
+
+// Training guide browser: the chunks file regrouped per source into the sections an agent reads
+// (one per slide for decks, per chunk for sheets and documents), with its own BM25 index so a
+// search lands on the exact slide rather than a packed multi-slide chunk.
+
+const SNIPPET_CHARS = 240;
+
+function sectionsOf(chunk, counters) {
+  if (chunk.type === "pptx") {
+    const slides = splitSlides(chunk.text);
+    if (slides.length) {
+      return slides.map((s) => ({
+        id: `${chunk.source_rel}#slide${s.slide}`,
+        label: `Slide ${s.slide}`,
+        slide: s.slide,
+        chunkId: chunk.id,
+        text: s.text,
+      }));
+    }
+  }
+  const sheet = chunk.text.match(/^\[Sheet: ([^\]]*)\]\n?/);
+  const n = (counters.get(chunk.source_rel) || 0) + 1;
+  counters.set(chunk.source_rel, n);
+  return [
+    {
+      id: chunk.id,
+      label: sheet ? `Sheet: ${sheet[1]}` : `Part ${n}`,
+      slide: null,
+      chunkId: chunk.id,
+      text: sheet ? chunk.text.slice(sheet[0].length) : chunk.text,
+    },
+  ];
+}
+
+const collapse = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+// A window of the section around its first matching term.
+function snippetFor(text, terms) {
+  const flat = collapse(text);
+  const lower = flat.toLowerCase();
+  const at = Math.min(...terms.map((t) => lower.search(new RegExp(`(^|[^a-z0-9])${t}`))).filter((i) => i >= 0));
+  const start = Number.isFinite(at) && at > 60 ? flat.lastIndexOf(" ", at - 60) + 1 : 0;
+  const out = flat.slice(start, start + SNIPPET_CHARS);
+  return `${start > 0 ? "…" : ""}${out}${start + SNIPPET_CHARS < flat.length ? "…" : ""}`;
+}
+
+export function createTrainingGuide(chunks) {
+  const counters = new Map();
+  const sections = chunks.flatMap((c) =>
+    sectionsOf(c, counters).map((s) => ({ ...s, source_rel: c.source_rel, type: c.type }))
+  );
+  const index = createBm25Index(sections);
+
+  const bySource = new Map();
+  for (const s of sections) {
+    if (!bySource.has(s.source_rel)) bySource.set(s.source_rel, []);
+    bySource.get(s.source_rel).push(s);
+  }
+  // Decks can be chunked out of slide order; the reader walks them in order.
+  for (const list of bySource.values()) list.sort((a, b) => (a.slide ?? 0) - (b.slide ?? 0));
+
+  function sources() {
+    return [...bySource.entries()]
+      .map(([source_rel, list]) => ({
+        source_rel,
+        type: list[0].type,
+        title: collapse(list[0].text.split("\n").find((l) => l.trim())).replace(/\u200b/g, "").slice(0, 120),
+        sections: list.length,
+      }))
+      .sort((a, b) => a.source_rel.localeCompare(b.source_rel));
+  }
+
+  function document(source_rel) {
+    const list = bySource.get(source_rel);
+    if (!list) return null;
+    return {
+      source_rel,
+      type: list[0].type,
+      sections: list.map(({ id, label, slide, chunkId, text }) => ({ id, label, slide, chunkId, text })),
+    };
+  }
+
+  // -> { terms, hits: [{ id, source_rel, type, label, slide, chunkId, snippet, score }] }
+  function search(query, { source, limit = 30 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return { terms, hits: [] };
+    const hits = index
+      .search(query, { limit: source ? sections.length : limit })
+      .filter((h) => !source || h.doc.source_rel === source)
+      .slice(0, limit)
+      .map(({ doc, score }) => ({
+        id: doc.id,
+        source_rel: doc.source_rel,
+        type: doc.type,
+        label: doc.label,
+        slide: doc.slide,
+        chunkId: doc.chunkId,
+        snippet: snippetFor(doc.text, terms),
+        score: Number(score.toFixed(3)),
+      }));
+    return { terms, hits };
+  }
+
+  return { sources, document, search };
+}
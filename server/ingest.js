@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createCorpusVersions } from "./corpusVersions.js";
+import { DOC_TYPES, readManifest, rebuildTrainingGuide } from "./documents.js";
+
+// Rebuild public/training_guide.txt and training_guide.chunks.jsonl from training decks.
+//   npm run ingest -- <file.pptx|.docx|.xlsx> [...] [--remove <file name>] [--dir <public dir>]
+//   npm run ingest -- --status
+// Each file replaces the source of the same name; every other source is kept. The result is
+// recorded as the next corpus version in DATA_DIR/corpus, shared with the proxy.
+// A running proxy picks the new files up on POST /api/admin/ingest/reload (or a restart).
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+for (const p of [path.join(process.cwd(), "server", ".env"), path.join(process.cwd(), ".env")]) dotenv.config({ path: p });
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+function readFlags(args, name) {
+  const values = [];
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) values.push(args[++i]);
+    else rest.push(args[i]);
+  }
+  return [values, rest];
+}
+
+function main() {
+  let args = process.argv.slice(2);
+  let dirs, remove;
+  [dirs, args] = readFlags(args, "dir");
+  [remove, args] = readFlags(args, "remove");
+  const publicDir = dirs[0] || path.join(__dirname, "..", "public");
+
+  if (args[0] === "--status") {
+    const manifest = readManifest(publicDir);
+    if (!manifest) return console.log(`No ingestion manifest in ${publicDir} (the guide predates ingestion)`);
+    console.log(`Version ${manifest.version} (${manifest.generatedAt}${manifest.generatedBy ? `, by ${manifest.generatedBy}` : ""})`);
+    for (const s of manifest.sources) console.log(`${s.source_rel}\t${s.type}\t${s.chunks} chunks`);
+    return;
+  }
+
+  if (!args.length && !remove.length) {
+    console.log(`Usage: npm run ingest -- <file> [...] [--remove <name>] [--dir <public dir>] | --status   (types: ${DOC_TYPES.join(", ")})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const add = args.map((file) => ({ name: path.basename(file), buffer: fs.readFileSync(file) }));
+  const versions = createCorpusVersions(path.join(DATA_DIR, "corpus"));
+  const manifest = rebuildTrainingGuide(publicDir, { add, remove, by: "cli", versions });
+  for (const name of manifest.updated) {
+    const s = manifest.sources.find((x) => x.source_rel === name);
+    console.log(`Ingested ${name} (${s.chunks} chunks)`);
+  }
+  for (const name of manifest.removed) console.log(`Removed ${name}`);
+  console.log(`Training guide version ${manifest.version}: ${manifest.sources.length} sources in ${publicDir}`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,417 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { ERROR_CODES } from "../shared/errorCodes.js";
+import { classifyError, proxyError } from "./errors.js";
+
+// The model behind Cloud Mode, picked with LLM_PROVIDER:
+//   anthropic  Claude through the Anthropic API (default)
+//   openai     any OpenAI-compatible /chat/completions endpoint: a local llama.cpp or Ollama server,
+//              vLLM, OpenAI itself
+//   mock       no network at all: canned, deterministic replies for development and CI (`npm test` runs the proxy on it)
+// Routes only call complete() and stream(); messages use the Anthropic shape ({ role, content }
+// with a separate system prompt) and usage comes back as { input_tokens, output_tokens } whatever
+// the provider, so the budget and usage log read one format.
+// Each provider has its own models, reply ceiling (maxTokens caps every call) and timeouts:
+// timeoutMs is one deadline the whole chain shares (until the answer, or a stream's first event),
+// idleTimeoutMs the longest gap between stream events once it is flowing.
+// Models are an ordered fallback chain: a model that 404s (retired or mistyped id) is skipped from
+// then on, and one that is overloaded hands the request to the next, so one stale id never takes
+// Cloud Mode down. validate() checks the chain at startup; /health reports the result.
+
+export const LLM_PROVIDERS = ["anthropic", "openai", "mock"];
+
+const replyTokens = (settings, maxTokens) => Math.min(maxTokens, settings.maxTokens || maxTokens);
+
+// Rejects with UPSTREAM_TIMEOUT after `ms`, calling onTimeout first (to abort the request).
+function withTimeout(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout?.();
+      reject(proxyError("UPSTREAM_TIMEOUT", "Upstream timeout"));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Stream timeouts: the first event within firstEventMs, then each next one within idleMs, so an
+// answer that keeps coming is never cut off however long it runs. guard() wraps the stream's result.
+function streamWatchdog({ firstEventMs, idleMs }, onTimeout) {
+  let timer;
+  let fail;
+  const expired = new Promise((_, reject) => {
+    fail = reject;
+  });
+  const arm = (ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      onTimeout();
+      fail(proxyError("UPSTREAM_TIMEOUT", "Upstream timeout"));
+    }, ms);
+  };
+  arm(firstEventMs);
+  return {
+    touch: () => arm(idleMs),
+    guard: (promise) => Promise.race([promise, expired]).finally(() => clearTimeout(timer)),
+  };
+}
+
+function anthropicProvider(settings) {
+  // With a fallback chain the next model is the retry; the SDK's own retries would only spend the
+  // shared deadline on the model that just failed.
+  const maxRetries = settings.models.length > 1 ? 0 : 2;
+  const client = settings.apiKey ? new Anthropic({ apiKey: settings.apiKey, maxRetries }) : null;
+  const paramsOf = ({ system, messages, maxTokens, temperature }, model) => ({
+    model,
+    max_tokens: replyTokens(settings, maxTokens),
+    temperature,
+    system,
+    messages,
+  });
+  const resultOf = (model) => (msg) => ({
+    text: msg?.content?.[0]?.text || "",
+    model: msg?.model || model,
+    usage: msg?.usage || null,
+  });
+
+  return {
+    configError: () =>
+      client ? null : proxyError("SERVER_CONFIG", "Server missing ANTHROPIC_API_KEY. Add it in Render env vars."),
+
+    // The SDK's own timeout is much longer; ours fires first and aborts the request.
+    async complete(request, model, { timeoutMs }) {
+      const ctrl = new AbortController();
+      const call = client.messages.create(paramsOf(request, model), { signal: ctrl.signal });
+      return resultOf(model)(await withTimeout(call, timeoutMs, () => ctrl.abort()));
+    },
+
+    stream(request, { onText }, model, limits) {
+      const stream = client.messages.stream(paramsOf(request, model));
+      const watchdog = streamWatchdog(limits, () => stream.abort());
+      stream.on("streamEvent", watchdog.touch);
+      stream.on("text", onText);
+      return {
+        done: watchdog.guard(stream.finalMessage()).then(resultOf(model)),
+        abort: () => stream.abort(),
+        usage: () => stream.currentMessage?.usage || null,
+      };
+    },
+
+    // Free: no tokens are spent looking a model up.
+    async probe(model) {
+      const ctrl = new AbortController();
+      const lookup = client.models.retrieve(model, {}, { signal: ctrl.signal });
+      await withTimeout(lookup, settings.timeoutMs, () => ctrl.abort());
+    },
+  };
+}
+
+// OpenAI-compatible servers: the system prompt becomes the first message, usage is renamed.
+function openaiProvider(settings) {
+  const base = String(settings.baseUrl || "").replace(/\/+$/, "");
+  const url = `${base}/chat/completions`;
+  const usageOf = (u) => (u ? { input_tokens: u.prompt_tokens || 0, output_tokens: u.completion_tokens || 0 } : null);
+
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+
+  async function call(target, init) {
+    let res;
+    try {
+      res = await fetch(target, init);
+    } catch (e) {
+      if (init.signal?.aborted) throw e;
+      throw proxyError("UPSTREAM_UNAVAILABLE", `Could not reach ${target}: ${e?.cause?.message || e?.message || e}`);
+    }
+    if (!res.ok) {
+      // Same fields as an Anthropic SDK error, so classifyError maps 404/429/529 the same way.
+      const body = await res.json().catch(() => null);
+      const err = new Error(body?.error?.message || `HTTP ${res.status} from ${target}`);
+      err.status = res.status;
+      err.error = body;
+      err.headers = res.headers;
+      throw err;
+    }
+    return res;
+  }
+
+  function post({ system, messages, maxTokens, temperature }, { model, stream, signal }) {
+    return call(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({
+        model,
+        max_tokens: replyTokens(settings, maxTokens),
+        temperature,
+        messages: [{ role: "system", content: system }, ...messages],
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      }),
+      signal,
+    });
+  }
+
+  // "data: {...}" lines of a streamed completion, as parsed objects.
+  async function* events(body) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+        try {
+          yield JSON.parse(data);
+        } catch {
+          // keep-alive comments and partial junk from some local servers
+        }
+      }
+    }
+  }
+
+  return {
+    configError: () =>
+      settings.baseUrl && settings.models.length
+        ? null
+        : proxyError("SERVER_CONFIG", "Server missing OPENAI_BASE_URL or OPENAI_MODEL for LLM_PROVIDER=openai."),
+
+    async complete(request, model, { timeoutMs }) {
+      const ctrl = new AbortController();
+      const run = async () => {
+        const body = await (await post(request, { model, stream: false, signal: ctrl.signal })).json();
+        return {
+          text: body?.choices?.[0]?.message?.content || "",
+          model: body?.model || model,
+          usage: usageOf(body?.usage),
+        };
+      };
+      return withTimeout(run(), timeoutMs, () => ctrl.abort());
+    },
+
+    stream(request, { onText }, model, limits) {
+      const ctrl = new AbortController();
+      const watchdog = streamWatchdog(limits, () => ctrl.abort());
+      let usage = null;
+      let served = model;
+      const run = async () => {
+        const res = await post(request, { model, stream: true, signal: ctrl.signal });
+        let text = "";
+        for await (const event of events(res.body)) {
+          watchdog.touch();
+          served = event.model || served;
+          usage = usageOf(event.usage) || usage;
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onText(delta);
+          }
+        }
+        return { text, model: served, usage };
+      };
+      return {
+        done: watchdog.guard(run()),
+        abort: () => ctrl.abort(),
+        usage: () => usage,
+      };
+    },
+
+    // Not every local server has GET /models/{id}; the list is universal.
+    async probe(model) {
+      const ctrl = new AbortController();
+      const list = async () => (await (await call(`${base}/models`, { headers, signal: ctrl.signal })).json())?.data || [];
+      const ids = (await withTimeout(list(), settings.timeoutMs, () => ctrl.abort())).map((m) => m.id);
+      if (!ids.includes(model)) throw proxyError("MODEL_NOT_FOUND", `${model} is not served by ${base}`);
+    },
+  };
+}
+
+// Deterministic stand-in: the same request always gets the same reply. `reply` (MOCK_LLM_REPLY)
+// overrides every task; otherwise chat echoes the question and the JSON tasks get an empty but
+// well-formed answer, so every screen can be clicked through offline.
+function mockProvider(settings) {
+  const lastUser = (messages) => String(messages.filter((m) => m.role === "user").at(-1)?.content || "");
+  const quoted = (text) => text.match(/<<<\n([\s\S]*)\n>>>/)?.[1] ?? text;
+
+  function replyTo({ task, messages }) {
+    if (settings.reply) return settings.reply;
+    const input = quoted(lastUser(messages)).trim();
+    if (task === "qa-grade") return JSON.stringify({ items: [], summary: "Mock grading: no model was called." });
+    if (task === "escalation-match") return JSON.stringify({ id: null, confidence: null, reason: "Mock provider." });
+    if (task === "note-write") return JSON.stringify({ reason: "", note: input, missing: [] });
+    return `Mock answer (LLM_PROVIDER=mock, no model was called).\n\nYou asked: ${input}`;
+  }
+
+  const resultOf = (request, text, model) => ({
+    text,
+    model,
+    usage: {
+      input_tokens: Math.ceil((request.system.length + JSON.stringify(request.messages).length) / 4),
+      output_tokens: Math.ceil(text.length / 4),
+    },
+  });
+
+  return {
+    configError: () => null,
+
+    async complete(request, model) {
+      return resultOf(request, replyTo(request), model);
+    },
+
+    // Word by word on later ticks, like a real stream.
+    stream(request, { onText }, model) {
+      let aborted = false;
+      const text = replyTo(request);
+      const run = async () => {
+        for (const word of text.match(/\S+\s*|\s+/g) || []) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          if (aborted) throw proxyError("UPSTREAM_ERROR", "Mock stream aborted");
+          onText(word);
+        }
+        return resultOf(request, text, model);
+      };
+      return {
+        done: run(),
+        abort: () => {
+          aborted = true;
+        },
+        usage: () => null,
+      };
+    },
+
+    async probe() {},
+  };
+}
+
+const FACTORIES = { anthropic: anthropicProvider, openai: openaiProvider, mock: mockProvider };
+
+// Errors that hand the request to the next model. A 404 also retires the model until a restart.
+const FAILOVER_CODES = new Set([ERROR_CODES.MODEL_NOT_FOUND, ERROR_CODES.UPSTREAM_OVERLOADED]);
+
+// config: { provider, anthropic: settings, openai: settings, mock: settings }
+// settings: { models, maxTokens, timeoutMs, idleTimeoutMs, apiKey?, baseUrl?, reply? }
+// -> { name, model, models(), validate(), configError(), complete(request), stream(request, { onText }) }
+//    model is the first model expected to work; models() is the chain with each model's status:
+//    "unchecked" | "ok" | "not_found" | "error" (the check failed for another reason: still tried)
+//    request: { task, system, messages, maxTokens, temperature }
+//    complete -> { text, model, usage, fallbackFrom }, model being the one that answered and
+//    fallbackFrom the first model of the chain when another one had to answer (else null)
+//    stream -> { done: Promise<same>, abort(), usage(), model() }
+export function createLlmProvider(config) {
+  const name = config.provider;
+  if (!FACTORIES[name]) throw new Error(`Unknown LLM_PROVIDER '${name}' (use ${LLM_PROVIDERS.join(", ")})`);
+  const settings = config[name];
+  const chain = [...new Set(settings.models.filter(Boolean))];
+  const provider = FACTORIES[name]({ ...settings, models: chain });
+  const status = new Map(chain.map((model) => [model, { model, status: "unchecked", error: null, checkedAt: null }]));
+
+  const mark = (model, state, error = null) =>
+    status.set(model, { model, status: state, error, checkedAt: new Date().toISOString() });
+
+  // Retired models are skipped; if every model is retired, try them all rather than nothing.
+  function candidates() {
+    const live = chain.filter((m) => status.get(m).status !== "not_found");
+    return live.length ? live : chain;
+  }
+
+  const withFallback = (result, model) => ({ ...result, fallbackFrom: model === chain[0] ? null : chain[0] });
+
+  // One deadline per request, shared by every model tried: a fallback gets what is left, never a
+  // fresh timeout the client would not wait for.
+  function deadline() {
+    const end = Date.now() + (settings.timeoutMs || Infinity);
+    return () => {
+      const left = end - Date.now();
+      if (left <= 0) throw proxyError("UPSTREAM_TIMEOUT", "Upstream timeout");
+      return left;
+    };
+  }
+
+  // true when the next model should get the request
+  function failedOver(model, e, attemptsLeft) {
+    const { code, message } = classifyError(e);
+    if (code === ERROR_CODES.MODEL_NOT_FOUND) mark(model, "not_found", message);
+    if (!FAILOVER_CODES.has(code) || !attemptsLeft) return false;
+    console.warn(`[proxy] Model ${model} failed (${code}); trying the next model`);
+    return true;
+  }
+
+  async function complete(request) {
+    const models = candidates();
+    const timeLeft = deadline();
+    for (const [i, model] of models.entries()) {
+      try {
+        const result = await provider.complete(request, model, { timeoutMs: timeLeft() });
+        if (status.get(model).status !== "ok") mark(model, "ok");
+        return withFallback(result, model);
+      } catch (e) {
+        if (!failedOver(model, e, models.length - 1 - i)) throw e;
+      }
+    }
+  }
+
+  // Fails over only while nothing has been streamed: the agent never sees two answers spliced.
+  function stream(request, { onText }) {
+    let current = null;
+    let currentModel = null;
+    let aborted = false;
+    let streamed = false;
+    const relay = (text) => {
+      streamed = true;
+      onText(text);
+    };
+    const run = async () => {
+      const models = candidates();
+      const timeLeft = deadline();
+      for (const [i, model] of models.entries()) {
+        const limits = { firstEventMs: timeLeft(), idleMs: settings.idleTimeoutMs || settings.timeoutMs };
+        current = provider.stream(request, { onText: relay }, model, limits);
+        currentModel = model;
+        try {
+          const result = await current.done;
+          if (status.get(model).status !== "ok") mark(model, "ok");
+          return withFallback(result, model);
+        } catch (e) {
+          if (aborted || streamed || !failedOver(model, e, models.length - 1 - i)) throw e;
+        }
+      }
+    };
+    return {
+      done: run(),
+      abort: () => {
+        aborted = true;
+        current?.abort();
+      },
+      usage: () => current?.usage() || null,
+      // the model streaming (or that was streaming when stopped)
+      model: () => currentModel,
+    };
+  }
+
+  // Checks every model in the chain (no tokens spent) -> models()
+  async function validate() {
+    for (const model of chain) {
+      try {
+        await provider.probe(model);
+        mark(model, "ok");
+      } catch (e) {
+        const { code, message } = classifyError(e);
+        mark(model, code === ERROR_CODES.MODEL_NOT_FOUND ? "not_found" : "error", message);
+      }
+    }
+    return models();
+  }
+
+  const models = () => chain.map((m) => ({ ...status.get(m) }));
+
+  return {
+    name,
+    get model() {
+      const live = candidates();
+      return live.find((m) => status.get(m).status === "ok") || live[0] || null;
+    },
+    models,
+    validate,
+    configError: provider.configError,
+    complete,
+    stream,
+  };
+}
@@ -0,0 +1,90 @@
+import { splitSlides, tokenize } from "./retrieval.js";
+import { hasContext } from "./corpus.js";
+
+// Local Mode: a templated, extractive answer built straight from the retrieval result.
+// No model is involved, so it keeps working without an API key, credits or network.
+
+const MAX_SENTENCES = 3;
+
+function collapse(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function overlap(text, terms) {
+  return new Set(tokenize(text).filter((t) => terms.has(t))).size;
+}
+
+// Picks the best-matching slide of a chunk (or the whole chunk when it has no slides).
+function bestPassage(doc, terms) {
+  const slides = splitSlides(doc.text);
+  if (!slides.length) return { slide: null, text: doc.text.replace(/^\[Sheet: [^\]]*\]/, "") };
+  return slides.reduce((best, s) => (overlap(s.text, terms) > overlap(best.text, terms) ? s : best), slides[0]);
+}
+
+function bestSentences(text, terms, max = MAX_SENTENCES) {
+  const sentences = String(text || "")
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9"“])/)
+    .map(collapse)
+    .filter((s) => s.length > 20);
+
+  const ranked = sentences
+    .map((s, i) => ({ s, i, score: overlap(s, terms) }))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, max)
+    .sort((a, b) => a.i - b.i);
+
+  return ranked.length ? ranked.map((x) => x.s) : sentences.slice(0, 1);
+}
+
+export function buildLocalAnswer(context, question) {
+  const { hits, matrixHits, qaHits } = context;
+  const terms = new Set(tokenize(question));
+
+  if (!hasContext(context)) {
+    return [
+      "**Local Mode** — no section of the selected documents matched this question.",
+      "",
+      "Try keywords the procedures use (e.g. *name change*, *refund queue*, *walked reservation*), enable more doc chips, or escalate to a supervisor.",
+    ].join("\n");
+  }
+
+  const parts = ["**Local Mode** — answered directly from the selected documents (no AI). Check the sources below before acting."];
+
+  // Citation indices follow buildContextCitations: guide, then matrix, then QA.
+  const matrixStart = hits.length + 1;
+  const qaStart = hits.length + matrixHits.length + 1;
+
+  if (matrixHits.length) {
+    parts.push("", "### Service matrix");
+    matrixHits.forEach(({ doc }, i) => {
+      const where = doc.channel ? `${doc.channel} matrix · ${doc.category}` : doc.category;
+      parts.push(
+        "",
+        `**${doc.scenario}** (${where}) [${matrixStart + i}]`,
+        `- **Instructions:** ${doc.action || "(none listed)"}`,
+        `- **Escalation:** ${doc.escalationPath}`
+      );
+    });
+  }
+
+  if (hits.length) {
+    parts.push("", "### Training guide");
+    hits.forEach(({ doc }, i) => {
+      const passage = bestPassage(doc, terms);
+      const where = passage.slide ? `${doc.source_rel} — Slide ${passage.slide}` : doc.source_rel;
+      parts.push("", `**${where}** [${i + 1}]`, ...bestSentences(passage.text, terms).map((s) => `> ${s}`));
+    });
+  }
+
+  if (qaHits.length) {
+    parts.push("", "### QA criteria");
+    qaHits.forEach(({ doc }, i) => {
+      parts.push("", `**${doc.title}** (${doc.points} pts, ${doc.file}) [${qaStart + i}]`);
+      if (doc.guidelines.yes) parts.push(`- **Yes:** ${doc.guidelines.yes}`);
+      if (doc.guidelines.no) parts.push(`- **No:** ${doc.guidelines.no}`);
+    });
+  }
+
+  return parts.join("\n");
+}
@@ -0,0 +1,209 @@
+import path from "path";
+import XLSX from "xlsx";
+
+// Parses "Service Matrix's 2026.xlsx" into flat records.
+// Voice/Ticket sheets are split into sections; each section starts with a header row
+// ("<Category> | Instructions | Slack | Refund Queue | ...") followed by scenario rows.
+
+const CHANNEL_BY_SHEET = [
+  [/voice/i, "voice"],
+  [/ticket/i, "ticket"],
+];
+
+const ESCALATION_KEYS = {
+  slack: "slack",
+  "refund queue": "refundQueue",
+  "create a ticket": "createTicket",
+  supervisor: "supervisor",
+  vipres: "vipres",
+  "email to ticketreview": "ticketReview",
+};
+
+function clean(v) {
+  return String(v ?? "")
+    .replace(/[\u200b\u00a0]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function slug(s) {
+  return clean(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// "NO", "NONE", "No " and empty cells all mean "this path is not used".
+export function isEscalationUsed(value) {
+  const v = clean(value).toLowerCase();
+  return !!v && v !== "no" && v !== "none" && v !== "n/a";
+}
+
+function describeEscalation(escalation, labels) {
+  const parts = Object.entries(escalation)
+    .filter(([, v]) => isEscalationUsed(v))
+    .map(([k, v]) => `${labels[k] || k}: ${v}`);
+  return parts.length ? parts.join("; ") : "No escalation";
+}
+
+function parseMatrixSheet(sheetName, rows, rowOffset) {
+  const channel = CHANNEL_BY_SHEET.find(([re]) => re.test(sheetName))?.[1] ?? null;
+  const out = [];
+  let section = null;
+
+  rows.forEach((r, i) => {
+    const cells = r.map(clean);
+    if (cells[2]?.toLowerCase() === "instructions") {
+      const columns = cells.slice(3).map((label, j) => ({
+        col: j + 3,
+        label,
+        key: ESCALATION_KEYS[label.toLowerCase()],
+      }));
+      section = { category: cells[1], columns: columns.filter((c) => c.key) };
+      return;
+    }
+
+    if (!section || !cells[1]) return;
+
+    const escalation = {};
+    const labels = {};
+    for (const c of section.columns) {
+      escalation[c.key] = cells[c.col] || "";
+      labels[c.key] = c.label;
+    }
+
+    const row = rowOffset + i + 1;
+    out.push({
+      id: `${slug(sheetName)}:${row}`,
+      sheet: sheetName,
+      row,
+      channel,
+      category: section.category,
+      scenario: cells[1],
+      action: cells[2],
+      escalation,
+      escalationPath: describeEscalation(escalation, labels),
+    });
+  });
+
+  return out;
+}
+
+// Free-form "Items to note" sheet: topic | note | remark.
+function parseNotesSheet(sheetName, rows, rowOffset) {
+  const out = [];
+  rows.forEach((r, i) => {
+    const [topic, note, remark] = r.map(clean);
+    if (!topic || !note) return;
+    const row = rowOffset + i + 1;
+    out.push({
+      id: `${slug(sheetName)}:${row}`,
+      sheet: sheetName,
+      row,
+      channel: null,
+      category: sheetName,
+      scenario: topic,
+      action: remark ? `${note} ${remark}` : note,
+      escalation: {},
+      escalationPath: "No escalation",
+    });
+  });
+  return out;
+}
+
+export function loadServiceMatrix(file) {
+  const wb = XLSX.readFile(file);
+  const records = [];
+  const source = path.basename(file);
+
+  for (const name of wb.SheetNames) {
+    const ws = wb.Sheets[name];
+    if (!ws?.["!ref"]) continue;
+    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", blankrows: true });
+    const rowOffset = XLSX.utils.decode_range(ws["!ref"]).s.r;
+    const isMatrix = rows.some((r) => clean(r[2]).toLowerCase() === "instructions");
+    const parsed = isMatrix ? parseMatrixSheet(name, rows, rowOffset) : parseNotesSheet(name, rows, rowOffset);
+    records.push(...parsed.map((r) => ({ ...r, file: source })));
+  }
+
+  return records;
+}
+
+// The Sept 2025 escalation matrices (voice-/ticket-escalation-matrix-2025-sept.xlsx) ship only as
+// extracted text in the training chunks: "[Sheet: Sheet1]", a "Scenario/Concern | Slack | ..." header,
+// then one " | "-separated line per scenario. Every routing column is kept, Email to TicketReview too.
+// Rows are numbered from the header (row 1), as in the workbook.
+export function parseEscalationMatrix(chunks, { file, channel, category }) {
+  const out = [];
+  for (const chunk of chunks.filter((c) => c.source_rel === file)) {
+    let sheet = "Sheet1";
+    let columns = null;
+    let row = 0;
+    for (const line of String(chunk.text || "").split("\n")) {
+      const sheetHeader = /^\[Sheet:\s*(.+)\]$/.exec(line.trim());
+      if (sheetHeader) {
+        [sheet, columns, row] = [sheetHeader[1], null, 0];
+        continue;
+      }
+      const cells = line.split("|").map(clean);
+      if (cells.length < 2 || !cells[0]) continue;
+      row++;
+      if (!columns) {
+        columns = cells.slice(1).map((label) => ({ label, key: ESCALATION_KEYS[label.toLowerCase()] || slug(label) }));
+        continue;
+      }
+
+      const escalation = {};
+      const labels = {};
+      columns.forEach((c, j) => {
+        escalation[c.key] = cells[j + 1] || "";
+        labels[c.key] = c.label;
+      });
+      out.push({
+        id: `${slug(file.replace(/\.xlsx$/i, ""))}:${row}`,
+        file,
+        sheet,
+        row,
+        channel,
+        category,
+        scenario: cells[0],
+        action: "",
+        escalation,
+        escalationPath: describeEscalation(escalation, labels),
+      });
+    }
+  }
+  return out;
+}
+
+export function filterMatrix(records, { channel, category, escalation } = {}) {
+  return records.filter((r) => {
+    if (channel && r.channel !== channel) return false;
+    if (category && !r.category.toLowerCase().includes(String(category).toLowerCase())) return false;
+    if (escalation && !isEscalationUsed(r.escalation[escalation])) return false;
+    return true;
+  });
+}
+
+export function formatMatrixRow(r) {
+  const where = r.channel ? `${r.channel} matrix, ${r.category}` : r.category;
+  return `Scenario: ${r.scenario} (${where})\nInstructions: ${r.action || "(none listed)"}\nEscalation: ${r.escalationPath}`;
+}
+
+// Same shape as retrieval.buildCitations so the UI renders both kinds of footnote.
+export function buildMatrixCitations(hits, { source, startIndex = 1, snippetChars = 240 } = {}) {
+  return hits.map(({ doc, score }, i) => {
+    const snippet = `${doc.scenario} — ${doc.escalationPath}`;
+    return {
+      index: startIndex + i,
+      id: doc.id,
+      source,
+      type: "xlsx",
+      sheet: doc.sheet,
+      row: doc.row,
+      slides: [],
+      snippet: snippet.length > snippetChars ? snippet.slice(0, snippetChars) + "…" : snippet,
+      score: Number(score.toFixed(3)),
+    };
+  });
+}
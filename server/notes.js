@@ -0,0 +1,129 @@
+// "Write my note": reservation notes in the documenting-notes format using only the shorthand
+// from the abbreviation deck, and the reverse (expand a note to plain English).
+// Abbreviations and dropdown reasons are read from the training chunks so the decks stay the
+// single source; expansion and the shorthand check are plain string work, no model involved.
+
+export const NOTE_SOURCES = {
+  abbreviations: "abbreviation-notes-new.pptx",
+  format: "documenting-notes-new-version.pptx",
+  reasons: "drop-down-menu-fit-notes-updated.docx",
+};
+
+// Caps words agents use in notes that are not shorthand, so they are not flagged.
+const COMMON_CAPS = new Set(["OK", "AM", "PM", "ID", "US", "USA", "HP", "TA", "RFP", "FIT", "VIP", "ADA"]);
+
+const textOf = (chunks, source) =>
+  chunks
+    .filter((c) => c.source_rel === source)
+    .map((c) => c.text)
+    .join("\n");
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "FOC | FREE OF CHARGES" rows under the "ABBREVIATION | CONCEPT" header.
+function parseAbbreviations(text) {
+  const out = [];
+  for (const line of text.split("\n")) {
+    const [abbr, concept] = line.split("|").map((s) => s.trim());
+    if (!abbr || !concept || abbr === "ABBREVIATION" || line.split("|").length !== 2) continue;
+    out.push({ abbr, concept });
+  }
+  return out;
+}
+
+// "Room Not Found Upon Check In – hotel does not have…" -> { reason, description }
+function parseReasons(text) {
+  return text
+    .split("\n")
+    .map((line) => line.match(/^(.+?)\s+[–-]\s*(.+)$/))
+    .filter(Boolean)
+    .map(([, reason, description]) => ({ reason: reason.trim(), description: description.trim() }));
+}
+
+// Matches the plain-English forms an agent would type: "left voice mail", "voicemail",
+// "cancellation number", "e-mailed", "hotel" or "motel".
+function conceptPattern(concept) {
+  const alternatives = concept.split("/").map((alt) =>
+    escapeRe(alt.trim())
+      .replace(/CANCELATION/g, "CANCELL?ATION")
+      .replace(/CHARGES$/, "CHARGES?")
+      .replace(/\s*#$/, "(?:\\s*#|\\s+NUMBER)")
+      .replace(/[\s-]+/g, "[\\s-]?")
+  );
+  return new RegExp(`\\b(?:${alternatives.join("|")})(?![A-Za-z])`, "gi");
+}
+
+const tokenPattern = (abbr) => new RegExp(`(?<![A-Za-z0-9])${escapeRe(abbr)}(?![A-Za-z0-9])`, "g");
+
+export function createNoteGuide(chunks) {
+  const abbreviations = parseAbbreviations(textOf(chunks, NOTE_SOURCES.abbreviations));
+  const reasons = parseReasons(textOf(chunks, NOTE_SOURCES.reasons));
+  const format = textOf(chunks, NOTE_SOURCES.format).replace(/\[Slide \d+\]\n?/g, "").trim();
+  // longest first so "LEFT VOICE MAIL" wins over "VOICE MAIL" and "CXL#" over "CXL"
+  const byConcept = [...abbreviations].sort((a, b) => b.concept.length - a.concept.length);
+  const byAbbr = [...abbreviations].sort((a, b) => b.abbr.length - a.abbr.length);
+  const known = new Set(abbreviations.map((a) => a.abbr));
+
+  // Plain English -> approved shorthand. Used by Local Mode and to tidy Claude's drafts.
+  function abbreviate(text) {
+    return byConcept.reduce((out, a) => out.replace(conceptPattern(a.concept), a.abbr), String(text || ""));
+  }
+
+  // Shorthand -> plain English, case-sensitive: the deck defines the abbreviations in caps.
+  function expand(note) {
+    const used = [];
+    const text = byAbbr.reduce((out, a) => {
+      const re = tokenPattern(a.abbr);
+      if (!re.test(out)) return out;
+      used.push(a);
+      return out.replace(re, a.concept.split("/")[0].toLowerCase());
+    }, String(note || ""));
+    const sentences = text.replace(/(^|[.!?]\s+)([a-z])/g, (m, lead, c) => lead + c.toUpperCase());
+    return { text: sentences, used, unknown: unknownShorthand(note) };
+  }
+
+  // Caps tokens that look like shorthand but are not on the deck (a QA deduction).
+  function unknownShorthand(note) {
+    const seen = new Set();
+    for (const m of String(note || "").matchAll(/(?<![A-Za-z0-9])[A-Z]{2,6}(?:#|'D)?(?![A-Za-z0-9])/g)) {
+      if (!known.has(m[0]) && !COMMON_CAPS.has(m[0])) seen.add(m[0]);
+    }
+    return [...seen];
+  }
+
+  function buildWriteSystem() {
+    return [
+      "You write reservation notes for HotelPlanner call center agents.",
+      "Turn the agent's description of what happened into one note in the approved format below.",
+      "Use the approved abbreviations wherever they apply and no other shorthand. Write complete sentences.",
+      "Only include facts the agent gave you; never invent names, numbers or outcomes.",
+      "reason must be one of the dropdown reasons, copied exactly; it is picked from the dropdown, so leave it out of the note.",
+      "missing lists the required parts the description does not give.",
+      "",
+      'Reply with JSON only: {"reason":"<dropdown reason>","note":"...","missing":["..."]}',
+      "",
+      `Note format (${NOTE_SOURCES.format}):`,
+      format,
+      "",
+      `Approved abbreviations (${NOTE_SOURCES.abbreviations}):`,
+      ...abbreviations.map((a) => `${a.abbr} = ${a.concept}`),
+      "",
+      `Dropdown reasons (${NOTE_SOURCES.reasons}):`,
+      ...reasons.map((r) => `${r.reason}: ${r.description}`),
+    ].join("\n");
+  }
+
+  // Claude's JSON -> checked note. A reason that is not in the dropdown is dropped, not guessed.
+  function finishNote(reply) {
+    const note = abbreviate(String(reply?.note || "").trim());
+    const reason = reasons.find((r) => r.reason.toLowerCase() === String(reply?.reason || "").toLowerCase().trim());
+    return {
+      note,
+      reason: reason?.reason || null,
+      missing: Array.isArray(reply?.missing) ? reply.missing.map(String).filter(Boolean) : [],
+      unknown: unknownShorthand(note),
+    };
+  }
+
+  return { abbreviations, reasons, format, abbreviate, expand, unknownShorthand, buildWriteSystem, finishNote };
+}
@@ -1,9 +1,50 @@
 ﻿import express from "express";
+import { Buffer } from "buffer";
 import cors from "cors";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
-import Anthropic from "@anthropic-ai/sdk";
+import { randomBytes, randomUUID } from "crypto";
+import { DEFAULT_TEAM, agentLabel, createAuth } from "./auth.js";
+import { ESCALATION_MATRIX_FILES, MATRIX_FILE, buildContextCitations, buildSystemPrompt, createCorpus } from "./corpus.js";
+import { buildMessages, retrievalQuery } from "./conversation.js";
+import { createConversationStore, isValidConversationId } from "./conversationStore.js";
+import { createCorpusVersions, diffCorpus } from "./corpusVersions.js";
+import {
+  toUsage,
+  validateChatRequest,
+  validateChatResponse,
+  validateEscalationMatchRequest,
+  validateFeedbackRequest,
+  validateFeedbackReview,
+  validateNoteExpandRequest,
+  validateNoteWriteRequest,
+  validateQaGradeRequest,
+  validateQaGradeResponse,
+} from "./contract.js";
+import { classifyError, proxyError } from "./errors.js";
+import {
+  buildMatchSystem,
+  escalationOptions,
+  escalationRoute,
+  keywordMatch,
+  matchCandidates,
+  parseMatch,
+} from "./escalation.js";
+import { DOC_TYPES, readManifest, rebuildTrainingGuide } from "./documents.js";
+import { createFeedbackStore } from "./feedbackStore.js";
+import { createTrainingGuide } from "./guide.js";
+import { blockedAnswer, loadGuardrails } from "./guardrails.js";
+import { createLlmProvider } from "./llm.js";
+import { buildLocalAnswer } from "./localAnswer.js";
+import { filterMatrix } from "./matrix.js";
+import { NOTE_SOURCES, createNoteGuide } from "./notes.js";
+import { QA_REVIEWS, buildGradingSystem, extractJson, findReferences, scoreScorecard } from "./qaGrader.js";
+import { MODEL_PRICES, createDailyBudget, createTokenBucket, estimateCostUsd } from "./rateLimit.js";
+import { createRedaction, describeRedaction } from "../shared/redaction.js";
+import { buildCitations } from "./retrieval.js";
+import { USAGE_COLUMNS, USAGE_GROUPS, createUsageLog, summarizeUsage, toCsv, usageTotals } from "./usageLog.js";
+import { loadWorkflows, workflowSummary } from "./workflows.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,77 +61,1142 @@ const app = express();
 // Render sets PORT automatically
 const PORT = Number(process.env.PORT || 5050);
 
-// ✅ IMPORTANT: your current default model is outdated and returns 404 "model not found".
-// Set MODEL in Render to a valid Claude API model (see .env below).
-const MODEL = process.env.MODEL || "claude-opus-4-5";
-// good default
+const listOf = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// Claude models in order of preference: CLAUDE_MODELS (comma-separated), else the single
+// CLAUDE_MODEL (or the older MODEL). The built-in chain is only used when neither is set, so a
+// configured model never silently falls back to a pricier one.
+const DEFAULT_CLAUDE_MODELS = ["claude-opus-4-5", "claude-sonnet-4-5", "claude-haiku-4-5"];
+const CONFIGURED_CLAUDE_MODELS = listOf(process.env.CLAUDE_MODELS || process.env.CLAUDE_MODEL || process.env.MODEL);
+const CLAUDE_MODELS = CONFIGURED_CLAUDE_MODELS.length ? CONFIGURED_CLAUDE_MODELS : DEFAULT_CLAUDE_MODELS;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "";
 const DEBUG = process.env.DEBUG === "true";
+// Runtime data written by the proxy (conversation mirror, ...). Keep it out of git.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const MIRROR_CONVERSATIONS = process.env.MIRROR_CONVERSATIONS === "true";
+// Agent login (on unless AUTH_REQUIRED=false). AUTH_SECRET signs the tokens; set it in Render
+// or every restart signs everyone out.
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== "false";
+const AUTH_SECRET = process.env.AUTH_SECRET || "";
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 12);
+const USERS_FILE = process.env.USERS_FILE || path.join(DATA_DIR, "users.json");
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+// Cloud Mode spend protection (0 turns a limit off). Prices are USD per million tokens.
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN ?? 10);
+const RATE_LIMIT_BURST = Number(process.env.RATE_LIMIT_BURST ?? 5);
+const GLOBAL_RATE_LIMIT_PER_MIN = Number(process.env.GLOBAL_RATE_LIMIT_PER_MIN ?? 120);
+const TEAM_DAILY_TOKEN_BUDGET = Number(process.env.TEAM_DAILY_TOKEN_BUDGET ?? 0);
+const TEAM_DAILY_COST_BUDGET_USD = Number(process.env.TEAM_DAILY_COST_BUDGET_USD ?? 20);
+// Cloud Mode model provider (server/llm.js): anthropic (default), openai (any OpenAI-compatible
+// endpoint, e.g. a local llama.cpp or Ollama server) or mock (offline, for development and CI).
+// <PROVIDER>_MAX_TOKENS caps every reply (0 = each route's own limit). <PROVIDER>_TIMEOUT_MS is
+// one deadline for the whole fallback chain, kept under the browser's 90 s wait; a stream that has
+// started only times out after <PROVIDER>_STREAM_IDLE_MS without an event.
+// OPENAI_MODEL may also be a comma-separated fallback chain.
+const llm = createLlmProvider({
+  provider: process.env.LLM_PROVIDER || "anthropic",
+  anthropic: {
+    apiKey: ANTHROPIC_API_KEY,
+    models: CLAUDE_MODELS,
+    maxTokens: Number(process.env.ANTHROPIC_MAX_TOKENS ?? 0),
+    timeoutMs: Number(process.env.ANTHROPIC_TIMEOUT_MS ?? 55000),
+    idleTimeoutMs: Number(process.env.ANTHROPIC_STREAM_IDLE_MS ?? 30000),
+  },
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || "",
+    apiKey: process.env.OPENAI_API_KEY || "",
+    models: listOf(process.env.OPENAI_MODEL),
+    maxTokens: Number(process.env.OPENAI_MAX_TOKENS ?? 0),
+    timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS ?? 85000),
+    idleTimeoutMs: Number(process.env.OPENAI_STREAM_IDLE_MS ?? 30000),
+  },
+  mock: { models: ["mock"], reply: process.env.MOCK_LLM_REPLY || "", maxTokens: 0 },
+});
+// Compliance rules checked against every Cloud Mode answer (see server/guardrails.js).
+const GUARDRAILS_FILE = process.env.GUARDRAILS_FILE || path.join(__dirname, "guardrails.json");
+// Claude models are billed at their list price (MODEL_PRICES); PRICE_* covers any other model.
+const PRICE_INPUT_PER_MTOK = Number(process.env.PRICE_INPUT_PER_MTOK ?? 5);
+const PRICE_OUTPUT_PER_MTOK = Number(process.env.PRICE_OUTPUT_PER_MTOK ?? 25);
+const PRICING = { inputPerMTok: PRICE_INPUT_PER_MTOK, outputPerMTok: PRICE_OUTPUT_PER_MTOK, models: MODEL_PRICES };
 
 const log = (...a) => DEBUG && console.log("[proxy]", ...a);
 
-app.use(cors({ origin: "*" }));
+// Training corpus (same files the UI offers as doc chips). Reloaded in place after an ingest;
+// handlers read these bindings per request, so requests already running finish on the old set.
+// corpusVersion is the numbered release being served (answers and usage entries carry it).
+// The guardrail rules reload with it, so a rules edit is picked up by the same reload.
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const MAX_INGEST_MB = Number(process.env.MAX_INGEST_MB ?? 50);
+const corpusVersions = createCorpusVersions(path.join(DATA_DIR, "corpus"));
+let corpus, guide, noteGuide, workflows, guardrails, corpusVersion;
+function loadTraining(reason) {
+  corpus = createCorpus(PUBLIC_DIR);
+  guide = createTrainingGuide(corpus.chunks);
+  noteGuide = createNoteGuide(corpus.chunks);
+  workflows = loadWorkflows(path.join(__dirname, "workflows"), corpus.chunks);
+  guardrails = loadGuardrails(GUARDRAILS_FILE, corpus.chunks);
+  corpusVersion = corpus.chunks.length ? corpusVersions.record(corpus.chunks, { reason }).version : null;
+}
+loadTraining("startup");
+
+if (AUTH_REQUIRED && !AUTH_SECRET) console.warn("[proxy] AUTH_SECRET is not set; using a random secret (tokens reset on restart).");
+const auth = createAuth({
+  usersFile: USERS_FILE,
+  secret: AUTH_SECRET || randomBytes(32).toString("hex"),
+  ttlSec: AUTH_TOKEN_TTL_HOURS * 3600,
+  required: AUTH_REQUIRED,
+});
+
+const agentBucket = createTokenBucket({ capacity: RATE_LIMIT_BURST, perMinute: RATE_LIMIT_PER_MIN });
+const globalBucket = createTokenBucket({
+  capacity: Math.max(GLOBAL_RATE_LIMIT_PER_MIN / 4, 1),
+  perMinute: GLOBAL_RATE_LIMIT_PER_MIN,
+});
+const budget = createDailyBudget({
+  file: path.join(DATA_DIR, "budget.json"),
+  tokenLimit: TEAM_DAILY_TOKEN_BUDGET,
+  costLimitUsd: TEAM_DAILY_COST_BUDGET_USD,
+  pricing: PRICING,
+});
+const usageLog = createUsageLog(path.join(DATA_DIR, "usage"));
+const feedback = createFeedbackStore(path.join(DATA_DIR, "feedback"));
+
+const conversations = MIRROR_CONVERSATIONS ? createConversationStore(path.join(DATA_DIR, "conversations")) : null;
+
+// Render (and most hosts) put one proxy in front of us; req.ip should be the agent's address.
+app.set("trust proxy", Number(process.env.TRUST_PROXY ?? 1));
+app.use(cors({ origin: CORS_ORIGIN === "*" ? "*" : CORS_ORIGIN.split(",").map((o) => o.trim()) }));
 app.use(express.json({ limit: "2mb" }));
 
+// Error body shared by every route: { ok: false, requestId, code, error, retryAfter }.
+// Upstream errors also carry e.error (raw upstream body), passed through as `body`.
+function toErrorPayload(e, reqId) {
+  const { code, status, message, retryAfter } = classifyError(e);
+  return {
+    status,
+    body: {
+      ok: false,
+      requestId: reqId,
+      code,
+      error: message,
+      retryAfter,
+      body: e?.error,
+      details: e?.details,
+      model: llm.model,
+    },
+  };
+}
+
+function sendError(res, e, reqId) {
+  const { status, body } = toErrorPayload(e, reqId);
+  if (body.retryAfter != null) res.set("Retry-After", String(body.retryAfter));
+  return res.status(status).json(body);
+}
+
 app.get("/health", (req, res) => {
-  res.json({ ok: true, port: PORT, model: MODEL, ts: new Date().toISOString() });
+  res.json({
+    ok: true,
+    port: PORT,
+    provider: llm.name,
+    model: llm.model,
+    models: llm.models(),
+    corpusVersion,
+    ...corpus.stats(),
+    mirrorConversations: MIRROR_CONVERSATIONS,
+    authRequired: AUTH_REQUIRED,
+    limits: {
+      perAgentPerMin: RATE_LIMIT_PER_MIN,
+      globalPerMin: GLOBAL_RATE_LIMIT_PER_MIN,
+      ...budget.limits,
+    },
+    ts: new Date().toISOString(),
+  });
+});
+
+// Agent login -> { token, expiresAt, agent }. The client sends the token as `Authorization: Bearer`.
+app.post("/api/auth/login", (req, res) => {
+  const session = auth.login(req.body?.username, String(req.body?.password || ""));
+  if (!session) {
+    console.warn(`[proxy] Failed login for '${String(req.body?.username || "").slice(0, 40)}'`);
+    return sendError(res, proxyError("UNAUTHENTICATED", "Wrong username or password."), newRequestId());
+  }
+  console.log(`[proxy] Login ${agentLabel(session.agent)}`);
+  res.json({ ok: true, ...session });
+});
+
+app.get("/api/auth/me", auth.requireAgent, (req, res) => {
+  res.json({ ok: true, authRequired: AUTH_REQUIRED, agent: req.agent });
+});
+
+// Usage report for supervisors/admins. ?from=&to= (YYYY-MM-DD, UTC, default: last 30 days).
+// JSON has totals plus rows by day/agent/team/model; ?format=csv&groupBy=day|agent|team|model|request
+// downloads one grouping (request = the raw log lines).
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get("/api/admin/usage", auth.requireAgent, auth.requireRole("admin", "supervisor"), async (req, res, next) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const to = DAY_RE.test(req.query.to) ? req.query.to : today;
+    const from = DAY_RE.test(req.query.from)
+      ? req.query.from
+      : new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 86400000).toISOString().slice(0, 10);
+    const entries = await usageLog.read({
+      from: Date.parse(`${from}T00:00:00Z`),
+      to: Date.parse(`${to}T23:59:59.999Z`),
+    });
+
+    if (req.query.format === "csv") {
+      const groupBy = [...USAGE_GROUPS, "request"].includes(req.query.groupBy) ? req.query.groupBy : "day";
+      const csv =
+        groupBy === "request"
+          ? toCsv(entries.map((e) => ({ ...e, ts: new Date(e.ts).toISOString() })), USAGE_COLUMNS)
+          : toCsv(summarizeUsage(entries, groupBy));
+      res.set("Content-Disposition", `attachment; filename="usage-${groupBy}-${from}-${to}.csv"`);
+      return res.type("text/csv").send(csv);
+    }
+
+    res.json({
+      ok: true,
+      from,
+      to,
+      pricing: PRICING,
+      totals: usageTotals(entries),
+      byDay: summarizeUsage(entries, "day"),
+      byAgent: summarizeUsage(entries, "agent"),
+      byTeam: summarizeUsage(entries, "team"),
+      byModel: summarizeUsage(entries, "model"),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Thumbs up/down on an answer, keyed by the chat requestId (voting again replaces the old vote).
+// Only the agent the answer was served to can rate it: the usage log says who that was, so
+// made-up ids never reach the review queue and nobody overwrites someone else's vote.
+const FEEDBACK_MAX_AGE_MS = 90 * 24 * 3600 * 1000;
+const RATED_OUTCOMES = ["ok", "stopped"];
+
+app.post("/api/feedback", auth.requireAgent, async (req, res, next) => {
+  const check = validateFeedbackRequest(req.body);
+  if (!check.ok) {
+    return sendError(res, proxyError("BAD_REQUEST", "Invalid feedback", { details: check.errors }), newRequestId());
+  }
+
+  let served;
+  try {
+    served = await usageLog.find(req.body.requestId, { since: Date.now() - FEEDBACK_MAX_AGE_MS });
+  } catch (e) {
+    return next(e);
+  }
+  const agent = req.agent?.username || null;
+  if (!served.some((e) => RATED_OUTCOMES.includes(e.outcome) && e.agent === agent)) {
+    const message = "No answer with this requestId was served to you in the last 90 days.";
+    return sendError(res, proxyError("NOT_FOUND", message), newRequestId());
+  }
+
+  const item = feedback.save({
+    ...req.body,
+    agent,
+    team: req.agent?.team || DEFAULT_TEAM,
+  });
+  const reason = item.reason ? ` (${item.reason})` : "";
+  console.log(`[proxy] Feedback ${item.rating} on ${item.requestId} by ${agentLabel(req.agent)}${reason}`);
+  res.json({ ok: true, requestId: item.requestId, rating: item.rating, status: item.status });
 });
 
+// Review queue for trainers. Default: open thumbs-down items, newest first.
+app.get("/api/admin/feedback", auth.requireAgent, auth.requireRole("admin", "supervisor"), (req, res) => {
+  const rating = req.query.rating === "all" ? undefined : req.query.rating || "down";
+  const status = req.query.status === "all" ? undefined : req.query.status || "open";
+  const items = feedback.list({ rating, status });
+  res.json({ ok: true, total: items.length, items });
+});
+
+app.patch("/api/admin/feedback/:requestId", auth.requireAgent, auth.requireRole("admin", "supervisor"), (req, res) => {
+  const check = validateFeedbackReview(req.body);
+  if (!check.ok) {
+    return sendError(res, proxyError("BAD_REQUEST", "Invalid review", { details: check.errors }), newRequestId());
+  }
+
+  const item = feedback.review(req.params.requestId, { ...req.body, reviewer: req.agent?.username });
+  if (!item) return sendError(res, proxyError("NOT_FOUND", "Feedback not found"), newRequestId());
+  log(`Feedback ${item.requestId} -> ${item.status} by ${agentLabel(req.agent)}`);
+  res.json({ ok: true, item });
+});
+
+// Training document ingestion (server/documents.js; `npm run ingest` does the same offline).
+// POST the raw .pptx/.docx/.xlsx as the body with ?name=<file name>: that source is replaced in
+// public/training_guide.txt and the chunks file, everything else is kept, and the corpus reloads.
+function ingestResult(manifest) {
+  return { ok: true, corpusVersion, updated: manifest.updated, removed: manifest.removed, ...corpus.stats() };
+}
+
+// Extraction problems are the uploader's to fix; file system errors are ours.
+function rebuildError(e) {
+  return e?.syscall ? e : proxyError("BAD_REQUEST", e?.message || String(e));
+}
+
+app.get("/api/admin/ingest", auth.requireAgent, auth.requireRole("admin"), (req, res) => {
+  res.json({
+    ok: true,
+    types: DOC_TYPES,
+    maxMb: MAX_INGEST_MB,
+    corpusVersion,
+    manifest: readManifest(PUBLIC_DIR),
+    ...corpus.stats(),
+  });
+});
+
+app.post(
+  "/api/admin/ingest",
+  auth.requireAgent,
+  auth.requireRole("admin"),
+  express.raw({ type: () => true, limit: `${MAX_INGEST_MB}mb` }),
+  (req, res) => {
+    const name = path.basename(String(req.query.name || ""));
+    if (!DOC_TYPES.includes(path.extname(name).slice(1).toLowerCase())) {
+      const types = DOC_TYPES.map((t) => `.${t}`).join(", ");
+      return sendError(res, proxyError("BAD_REQUEST", `?name= must be a ${types} file name`), newRequestId());
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return sendError(res, proxyError("BAD_REQUEST", "Empty upload"), newRequestId());
+    }
+
+    let manifest;
+    try {
+      manifest = rebuildTrainingGuide(PUBLIC_DIR, {
+        add: [{ name, buffer: req.body }],
+        by: req.agent?.username || null,
+        versions: corpusVersions,
+      });
+    } catch (e) {
+      return sendError(res, rebuildError(e), newRequestId());
+    }
+    loadTraining("ingest");
+    console.log(`[proxy] Ingested ${name} by ${agentLabel(req.agent)}; corpus v${manifest.version}`);
+    res.json(ingestResult(manifest));
+  }
+);
+
+app.delete("/api/admin/ingest/:name", auth.requireAgent, auth.requireRole("admin"), (req, res) => {
+  let manifest;
+  try {
+    manifest = rebuildTrainingGuide(PUBLIC_DIR, {
+      remove: [req.params.name],
+      by: req.agent?.username || null,
+      versions: corpusVersions,
+    });
+  } catch (e) {
+    return sendError(res, rebuildError(e), newRequestId());
+  }
+  loadTraining("ingest");
+  console.log(`[proxy] Removed ${req.params.name} by ${agentLabel(req.agent)}; corpus v${manifest.version}`);
+  res.json(ingestResult(manifest));
+});
+
+// After `npm run ingest` against a running proxy.
+app.post("/api/admin/ingest/reload", auth.requireAgent, auth.requireRole("admin"), (req, res) => {
+  loadTraining("reload");
+  res.json({ ok: true, corpusVersion, ...corpus.stats() });
+});
+
+// Corpus releases. ?at=<date> answers "which version were agents given then".
+app.get("/api/corpus/versions", auth.requireAgent, (req, res) => {
+  const at = req.query.at ? Date.parse(String(req.query.at)) : NaN;
+  if (req.query.at && Number.isNaN(at)) {
+    return sendError(res, proxyError("BAD_REQUEST", "?at= must be a date"), newRequestId());
+  }
+  res.json({
+    ok: true,
+    current: corpusVersion,
+    ...(req.query.at ? { at: corpusVersions.at(at) } : {}),
+    versions: corpusVersions.list(),
+  });
+});
+
+// Added/removed/modified chunks per source file between two versions (default: the previous
+// version against the current one). ?source= narrows to one file.
+app.get("/api/corpus/diff", auth.requireAgent, (req, res) => {
+  const to = corpusVersions.get(req.query.to ?? corpusVersion);
+  const from = corpusVersions.get(req.query.from ?? (to ? to.version - 1 : NaN));
+  if (!from || !to) return sendError(res, proxyError("NOT_FOUND", "Unknown corpus version"), newRequestId());
+
+  let diff;
+  try {
+    diff = diffCorpus(corpusVersions.load(from.version), corpusVersions.load(to.version));
+  } catch (e) {
+    return sendError(res, e, newRequestId());
+  }
+  const sources = req.query.source ? diff.sources.filter((s) => s.source_rel === req.query.source) : diff.sources;
+  res.json({ ok: true, from, to, totals: diff.totals, sources });
+});
+
+// Service matrix rows. ?q= ranks by relevance; channel/category/escalation narrow the set.
+app.get("/api/matrix", (req, res) => {
+  const { q, channel, category, escalation } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+  let rows = filterMatrix(corpus.matrixRecords, { channel, category, escalation });
+  if (q) {
+    const allowed = new Set(rows.map((r) => r.id));
+    rows = corpus.matrixIndex
+      .search(String(q), { limit: corpus.matrixRecords.length })
+      .filter((h) => allowed.has(h.doc.id))
+      .map((h) => ({ ...h.doc, score: Number(h.score.toFixed(3)) }));
+  }
+
+  res.json({ ok: true, total: rows.length, rows: rows.slice(0, limit) });
+});
+
+// Escalation lookup: pick channel / issue type / scenario and get the matrix row exactly as written.
+app.get("/api/v1/escalation", (req, res) => {
+  const sources = [MATRIX_FILE, ...ESCALATION_MATRIX_FILES.map((f) => f.file)];
+  res.json({ ok: true, sources, channels: escalationOptions(corpus.escalationRecords) });
+});
+
+app.get("/api/v1/escalation/:id", (req, res) => {
+  const record = corpus.escalationRecords.find((r) => r.id === req.params.id);
+  if (!record) return sendError(res, proxyError("NOT_FOUND", `No escalation row '${req.params.id}'.`), newRequestId());
+  res.json({ ok: true, route: escalationRoute(record) });
+});
+
+// Conversation mirror (opt-in with MIRROR_CONVERSATIONS=true; the browser keeps its own copy in IndexedDB)
+function requireConversationStore(req, res, next) {
+  if (!conversations) {
+    return sendError(res, proxyError("NOT_FOUND", "Conversation mirror is disabled."), newRequestId());
+  }
+  if (req.params.id != null && !isValidConversationId(req.params.id)) {
+    return sendError(res, proxyError("BAD_REQUEST", "Invalid conversation id"), newRequestId());
+  }
+  next();
+}
+
+// Agents see their own threads; supervisors and admins (and everyone, with login off) see all.
+const seesAllConversations = (agent) => !auth.required || ["admin", "supervisor"].includes(agent?.role);
+const ownsConversation = (agent, conversation) =>
+  seesAllConversations(agent) || conversation.agent === agent?.username;
+
+app.get("/api/conversations", auth.requireAgent, requireConversationStore, (req, res) => {
+  const agent = seesAllConversations(req.agent) ? undefined : req.agent.username;
+  res.json({ ok: true, conversations: conversations.list({ q: req.query.q, agent }) });
+});
+
+// Someone else's thread answers 404, like a missing one, so ids cannot be probed.
+app.get("/api/conversations/:id", auth.requireAgent, requireConversationStore, (req, res) => {
+  const conversation = conversations.get(req.params.id);
+  if (!conversation || !ownsConversation(req.agent, conversation)) {
+    return sendError(res, proxyError("NOT_FOUND", "Conversation not found"), newRequestId());
+  }
+  res.json({ ok: true, conversation });
+});
+
+app.put("/api/conversations/:id", auth.requireAgent, requireConversationStore, (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.messages)) {
+    return sendError(res, proxyError("BAD_REQUEST", "Missing 'messages'"), newRequestId());
+  }
+
+  const prev = conversations.get(req.params.id);
+  if (prev && !ownsConversation(req.agent, prev)) {
+    return sendError(res, proxyError("FORBIDDEN", "This conversation belongs to another agent."), newRequestId());
+  }
+  const conversation = conversations.save({
+    id: req.params.id,
+    title: String(body.title || "Untitled").slice(0, 200),
+    createdAt: Number(body.createdAt) || prev?.createdAt || Date.now(),
+    updatedAt: Number(body.updatedAt) || Date.now(),
+    mode: body.mode,
+    docs: body.docs,
+    messages: body.messages,
+    // a supervisor editing a thread does not take it over
+    agent: prev?.agent || req.agent?.username || null,
+  });
+  log(`Conversation saved ${conversation.id} ${agentLabel(req.agent)} (${conversation.messages.length} msgs)`);
+  res.json({ ok: true, id: conversation.id, updatedAt: conversation.updatedAt });
+});
+
+app.delete("/api/conversations/:id", auth.requireAgent, requireConversationStore, (req, res) => {
+  const conversation = conversations.get(req.params.id);
+  if (conversation && !ownsConversation(req.agent, conversation)) {
+    return sendError(res, proxyError("NOT_FOUND", "Conversation not found"), newRequestId());
+  }
+  res.json({ ok: true, deleted: conversations.remove(req.params.id) });
+});
+
+const newRequestId = () => `req_${Date.now()}_${randomUUID().slice(0, 8)}`;
+
+function readChatRequest(req) {
+  return {
+    question: req.body?.question ?? req.body?.text ?? "",
+    history: Array.isArray(req.body?.history) ? req.body.history : [],
+    docs: req.body?.docs || {},
+    mode: req.body?.mode === "local" ? "local" : "cloud",
+  };
+}
+
+// Question and history go upstream redacted (shared/redaction.js); the answer is restored by the caller.
+function buildChatRequest(context, question, history, pii) {
+  for (const t of history) pii.reserve(t?.content ?? t?.text);
+  pii.reserve(question);
+  const turns = history.map((t) => ({ role: t?.role, content: pii.redact(t?.content ?? t?.text ?? "") }));
+  const messages = buildMessages(turns, pii.redact(question));
+  return {
+    task: "chat",
+    maxTokens: 1000,
+    temperature: 0.2,
+    system: pii.annotate(buildSystemPrompt(context)),
+    messages,
+  };
+}
+
+// What was redacted, by kind and count only: values never reach the logs.
+function logRedaction(reqId, pii) {
+  const summary = pii.summary();
+  if (!Object.keys(summary).length) return null;
+  console.log(`[proxy] ${reqId} redacted ${describeRedaction(summary)}`);
+  return summary;
+}
+
+// Compliance check on a Cloud Mode answer: findings are logged by rule id (never the text) and a
+// blocked answer is replaced by the reasons it was held back.
+function applyGuardrails(reqId, answer, question) {
+  const guardrail = guardrails.check(answer, { question });
+  if (guardrail.status === "pass") return { answer, guardrail };
+  console.warn(`[proxy] ${reqId} guardrail ${guardrail.status}: ${guardrail.findings.map((f) => f.id).join(", ")}`);
+  return { answer: guardrail.status === "block" ? blockedAnswer(guardrail.findings) : answer, guardrail };
+}
+
+// Success body shared by every chat route (see ChatResponse in contract.js).
+function chatResponse({
+  reqId,
+  mode,
+  answer,
+  citations,
+  usage = null,
+  model = null,
+  corpusVersion = null,
+  redacted = null,
+  guardrail = null,
+}) {
+  const body = { ok: true, requestId: reqId, mode, model, corpusVersion, redacted, guardrail, answer, citations, usage };
+  const check = validateChatResponse(body);
+  if (!check.ok) console.error(`Contract violation ${reqId}:`, check.errors);
+  return body;
+}
+
+const missingQuestionError = () => proxyError("BAD_REQUEST", "Missing 'question'");
+
 // shared handler for all chat endpoints
 async function handleAsk(req, res) {
-  const reqId = `req_${Date.now()}`;
-  const question = req.body?.question ?? req.body?.text ?? "";
+  const reqId = newRequestId();
+  const startedAt = Date.now();
+  const { question, history, docs, mode } = readChatRequest(req);
+  const who = agentLabel(req.agent);
+  console.log(`[proxy] ${reqId} ${who} ${mode} ${req.path}`);
+  const fail = (e) => {
+    recordUsage(req, { reqId, mode, startedAt, outcome: "error", error: e });
+    return sendError(res, e, reqId);
+  };
 
-  if (!question) return res.status(400).json({ ok: false, error: "Missing 'question'" });
+  if (!question) return fail(missingQuestionError());
 
-  if (!ANTHROPIC_API_KEY) {
-    return res.status(500).json({
-      ok: false,
-      error: "Server missing ANTHROPIC_API_KEY. Add it in Render env vars.",
-    });
+  const query = retrievalQuery(history, question);
+  const version = corpusVersion;
+  const context = corpus.retrieve(query, docs);
+  const citations = buildContextCitations(context, query);
+  log(`Context ${reqId}:`, context.hits.map((h) => `${h.doc.id} (${h.score.toFixed(2)})`));
+
+  // Local Mode never calls the model, so it works without a key or credits.
+  if (mode === "local") {
+    log(`Local answer ${reqId}`);
+    recordUsage(req, { reqId, mode, startedAt, outcome: "ok" });
+    return res.json(
+      chatResponse({ reqId, mode, answer: buildLocalAnswer(context, query), citations, corpusVersion: version })
+    );
   }
 
+  const llmError = llm.configError();
+  if (llmError) return fail(llmError);
+
+  const pii = createRedaction();
+  const request = buildChatRequest(context, question, history, pii);
+  const redacted = logRedaction(reqId, pii);
   try {
-    const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
+    const reply = await llm.complete(request);
+    const { answer, guardrail } = applyGuardrails(reqId, pii.restore(reply.text || "No text content."), question);
+    recordUsage(req, {
+      reqId,
+      mode,
+      startedAt,
+      model: reply.model,
+      fallbackFrom: reply.fallbackFrom,
+      usage: reply.usage,
+      outcome: "ok",
+      redacted,
+      guardrail,
+    });
+    log(`Success ${reqId}`);
 
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Upstream timeout")), 55000)
+    return res.json(
+      chatResponse({
+        reqId,
+        mode,
+        answer,
+        citations,
+        usage: toUsage(reply.usage),
+        model: reply.model,
+        corpusVersion: version,
+        redacted,
+        guardrail,
+      })
     );
+  } catch (e) {
+    console.error(`Error ${reqId} ${who}:`, e?.message || e);
+    return fail(e);
+  }
+}
+
+// Where streamed text is released: after the last finished sentence or line.
+const SENTENCE_END = /[.!?](?=\s)|\n/g;
+
+// Server-Sent Events variant of handleAsk.
+// Events: "meta" ({ requestId, mode, corpusVersion, citations }, sent first), "delta" ({ text }),
+// "done" (the full ChatResponse), "error" (same body as handleAsk plus status).
+// Deltas go out a sentence at a time, each checked against the guardrails first; once one trips a
+// blocking rule nothing more is streamed and "done" carries the replacement answer.
+// Validation failures still answer with plain JSON and an HTTP status, before the stream opens.
+async function handleAskStream(req, res) {
+  const reqId = newRequestId();
+  const startedAt = Date.now();
+  const { question, history, docs, mode } = readChatRequest(req);
+  const who = agentLabel(req.agent);
+  console.log(`[proxy] ${reqId} ${who} ${mode} ${req.path}`);
+  const fail = (e) => {
+    recordUsage(req, { reqId, mode, stream: true, startedAt, outcome: "error", error: e });
+    return sendError(res, e, reqId);
+  };
+
+  if (!question) return fail(missingQuestionError());
+
+  const llmError = mode === "cloud" ? llm.configError() : null;
+  if (llmError) return fail(llmError);
+
+  const query = retrievalQuery(history, question);
+  const version = corpusVersion;
+  const context = corpus.retrieve(query, docs);
+  const citations = buildContextCitations(context, query);
+  log(`Context ${reqId}:`, context.hits.map((h) => `${h.doc.id} (${h.score.toFixed(2)})`));
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const pii = createRedaction();
+  const request = mode === "local" ? null : buildChatRequest(context, question, history, pii);
+  const redacted = logRedaction(reqId, pii);
+  send("meta", { requestId: reqId, mode, corpusVersion: version, redacted, citations });
+
+  if (mode === "local") {
+    const answer = buildLocalAnswer(context, query);
+    send("delta", { text: answer });
+    send("done", chatResponse({ reqId, mode, answer, citations, corpusVersion: version }));
+    recordUsage(req, { reqId, mode, stream: true, startedAt, outcome: "ok" });
+    return res.end();
+  }
+
+  let answer = "";
+  const restored = pii.restoreStream();
+  let shown = "";
+  let pending = "";
+  let held = false;
+  let usage = null;
+  let model = null;
+  let fallbackFrom = null;
+  let outcome = "ok";
+  let error = null;
+  let guardrail = null;
+  const onText = (delta) => {
+    answer += delta;
+    const text = restored.push(delta);
+    pending += text;
+    const cut = ([...pending.matchAll(SENTENCE_END)].at(-1)?.index ?? -1) + 1;
+    if (held || !cut) return;
+    held = guardrails.check(shown + pending.slice(0, cut), { question, partial: true }).status === "block";
+    if (held) return;
+    send("delta", { text: pending.slice(0, cut) });
+    shown += pending.slice(0, cut);
+    pending = pending.slice(cut);
+  };
+  const stream = llm.stream(request, { onText });
+
+  // Stop paying for tokens nobody will read (Stop button, closed tab).
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      log(`Client closed stream ${reqId}`);
+      stream.abort();
+    }
+  });
+
+  try {
+    const reply = await stream.done;
+    usage = reply.usage;
+    model = reply.model;
+    fallbackFrom = reply.fallbackFrom;
+    log(`Stream success ${reqId}`);
+    const rest = pending + restored.flush();
+    const checked = applyGuardrails(reqId, pii.restore(answer) || "No text content.", question);
+    guardrail = checked.guardrail;
+    if (rest && guardrail.status !== "block") send("delta", { text: rest });
+    send(
+      "done",
+      chatResponse({
+        reqId,
+        mode,
+        answer: checked.answer,
+        citations,
+        usage: toUsage(usage),
+        model,
+        corpusVersion: version,
+        redacted,
+        guardrail,
+      })
+    );
+  } catch (e) {
+    if (res.destroyed) {
+      outcome = "stopped";
+      return;
+    }
+    outcome = "error";
+    error = e;
+    console.error(`Stream error ${reqId} ${who}:`, e?.message || e);
+    const { status, body } = toErrorPayload(e, reqId);
+    send("error", { ...body, status });
+  } finally {
+    // stopped or timed-out streams are still billed for what was generated
+    usage = usage || stream.usage();
+    model = model || stream.model();
+    const entry = { reqId, mode, stream: true, startedAt, model, fallbackFrom, usage, outcome, error };
+    recordUsage(req, { ...entry, redacted, guardrail });
+    if (!res.writableEnded) res.end();
+  }
+}
+
+const teamOf = (req) => req.agent?.team || DEFAULT_TEAM;
+
+const enabledDocs = (docs) => Object.keys(docs || {}).filter((k) => !k.startsWith("_") && docs[k] === true);
+
+// One usage-log entry per chat request; billed tokens also count against the team budget.
+function recordUsage(
+  req,
+  {
+    reqId,
+    mode,
+    stream = false,
+    startedAt,
+    model = null,
+    fallbackFrom = null,
+    usage = null,
+    outcome,
+    error,
+    redacted = null,
+    guardrail = null,
+  }
+) {
+  const team = teamOf(req);
+  const billedModel = mode === "local" ? null : model || llm.model;
+  budget.record(team, usage, billedModel);
+  usageLog.append({
+    requestId: reqId,
+    agent: req.agent?.username || null,
+    team,
+    route: req.path,
+    mode,
+    stream,
+    model: billedModel,
+    fallbackFrom,
+    corpusVersion,
+    docs: enabledDocs(req.body?.docs),
+    outcome,
+    errorCode: error ? classifyError(error).code : null,
+    redacted,
+    guardrail: guardrail?.status ?? null,
+    guardrailRules: guardrail ? guardrail.findings.map((f) => f.id) : [],
+    inputTokens: usage?.input_tokens || 0,
+    outputTokens: usage?.output_tokens || 0,
+    costUsd: usage ? Number(estimateCostUsd(usage, PRICING, billedModel).toFixed(6)) : 0,
+    latencyMs: Date.now() - startedAt,
+  });
+}
+
+// Runs before any Cloud Mode call: the team's daily budget, then the per-agent (or per-IP when
+// auth is off) bucket, then the global one. Local Mode never reaches the model, so it is exempt.
+function limitCloudSpend(req, res, next) {
+  if (req.body?.mode === "local") return next();
+
+  const refuse = (error) => {
+    req.requestId = newRequestId();
+    const entry = { reqId: req.requestId, mode: "cloud", stream: wantsStream(req), startedAt: Date.now() };
+    recordUsage(req, { ...entry, outcome: "rejected", error });
+    next(error);
+  };
+
+  const team = teamOf(req);
+  const spend = budget.check(team);
+  if (!spend.ok) {
+    console.warn(`[proxy] Budget exceeded for team ${team}: ${spend.reason}`);
+    const message = `Daily Claude budget for team '${team}' is used up (${spend.reason}).`;
+    return refuse(proxyError("BUDGET_EXCEEDED", message, { retryAfter: spend.retryAfter }));
+  }
+
+  const mine = agentBucket.take(req.agent ? `agent:${req.agent.username}` : `ip:${req.ip}`);
+  if (!mine.ok) {
+    log(`Rate limited ${agentLabel(req.agent)} ${req.ip}`);
+    const message = "Too many questions in a short time. Please wait a moment.";
+    return refuse(proxyError("RATE_LIMITED", message, { retryAfter: mine.retryAfter }));
+  }
+
+  const all = globalBucket.take("global");
+  if (!all.ok) {
+    console.warn("[proxy] Global rate limit reached");
+    const message = "The assistant is busy for the whole floor right now.";
+    return refuse(proxyError("RATE_LIMITED", message, { retryAfter: all.retryAfter }));
+  }
+  next();
+}
+
+// Goes before limitCloudSpend, so a malformed body costs no budget and no rate-limit token.
+function requireValidBody(validate, message) {
+  return (req, res, next) => {
+    const check = validate(req.body);
+    if (check.ok) return next();
+    const reqId = newRequestId();
+    const error = proxyError("BAD_REQUEST", message, { details: check.errors });
+    const mode = req.body?.mode === "local" ? "local" : "cloud";
+    recordUsage(req, { reqId, mode, stream: wantsStream(req), startedAt: Date.now(), outcome: "error", error });
+    return sendError(res, error, reqId);
+  };
+}
+
+// QA scorecard grading: paste a call transcript (QA Voice) or group ticket notes (QA Groups),
+// get every criterion of the form judged and scored.
+const validQaGrade = requireValidBody(validateQaGradeRequest, "Invalid grading request");
+app.post("/api/v1/qa/grade", auth.requireAgent, validQaGrade, limitCloudSpend, async (req, res) => {
+  const reqId = newRequestId();
+  const startedAt = Date.now();
+  const fail = (e) => {
+    recordUsage(req, { reqId, mode: "cloud", startedAt, outcome: "error", error: e });
+    return sendError(res, e, reqId);
+  };
+
+  const form = corpus.qaForms[req.body.form];
+  if (!form?.criteria.length) return fail(proxyError("SERVER_CONFIG", `QA form '${req.body.form}' is not loaded.`));
+  const llmError = llm.configError();
+  if (llmError) return fail(llmError);
+
+  const transcript = req.body.transcript.trim();
+  const review = QA_REVIEWS[form.key];
+  const references = findReferences(corpus.chunks, corpus.chunkIndex, review, transcript);
+  console.log(`[proxy] ${reqId} ${agentLabel(req.agent)} grade ${form.key} (${transcript.length} chars)`);
+
+  const pii = createRedaction();
+  const content = `${review.inputLabel} to grade:\n<<<\n${pii.redact(transcript)}\n>>>`;
+  const redacted = logRedaction(reqId, pii);
+  try {
+    const reply = await llm.complete({
+      task: "qa-grade",
+      maxTokens: 2500,
+      temperature: 0,
+      system: pii.annotate(buildGradingSystem(form, { subject: review.subject, references })),
+      messages: [{ role: "user", content }],
+    });
+    const { model, fallbackFrom, usage } = reply;
+    const billed = { reqId, mode: "cloud", startedAt, model, fallbackFrom, usage, redacted };
+
+    // evidence quotes get the real values back before they are checked against the transcript
+    const graded = extractJson(pii.restore(reply.text));
+    if (!graded) {
+      const e = proxyError("UPSTREAM_ERROR", "The model did not return a readable scorecard. Try again.");
+      recordUsage(req, { ...billed, outcome: "error", error: e });
+      return sendError(res, e, reqId);
+    }
+    recordUsage(req, { ...billed, outcome: "ok" });
+
+    const body = {
+      ok: true,
+      requestId: reqId,
+      form: {
+        key: form.key,
+        label: form.label,
+        file: form.file,
+        totalPoints: form.totalPoints,
+        passingPct: form.passingPct,
+        criticalErrors: form.criticalErrors,
+      },
+      ...scoreScorecard(form, graded, transcript),
+      citations: buildCitations(references, transcript),
+      model: reply.model,
+      usage: toUsage(reply.usage),
+    };
+    const out = validateQaGradeResponse(body);
+    if (!out.ok) console.error(`Contract violation ${reqId}:`, out.errors);
+    log(`Graded ${reqId}: ${body.score.earned}/${body.score.possible}`);
+    res.json(body);
+  } catch (e) {
+    console.error(`Grade error ${reqId} ${agentLabel(req.agent)}:`, e?.message || e);
+    return fail(e);
+  }
+});
 
-    const apiPromise = anthropic.messages.create({
-      model: MODEL,
-      max_tokens: 1000,
-      temperature: 0.2,
-      system: "You are a helpful call-center compliance assistant. Answer practically.",
-      messages: [{ role: "user", content: question }],
+// Free-text situation -> matrix row. Claude (or keyword search in Local Mode) only chooses the row;
+// the route returned is the row itself, so escalation paths are never paraphrased.
+const validEscalationMatch = requireValidBody(validateEscalationMatchRequest, "Invalid escalation request");
+app.post("/api/v1/escalation/match", auth.requireAgent, validEscalationMatch, limitCloudSpend, async (req, res) => {
+  const reqId = newRequestId();
+  const startedAt = Date.now();
+  const mode = req.body?.mode === "local" ? "local" : "cloud";
+  const fail = (e) => {
+    recordUsage(req, { reqId, mode, startedAt, outcome: "error", error: e });
+    return sendError(res, e, reqId);
+  };
+
+  const { channel, category } = req.body;
+  const severity = req.body.severity || null;
+  const situation = req.body.situation.trim();
+  // severity joins the keyword query so rows that mention urgency rank higher
+  const query = severity ? `${situation} ${severity}` : situation;
+  const candidates = matchCandidates(corpus.escalationRecords, corpus.escalationIndex, { channel, category }, query);
+  if (!candidates.length) return fail(proxyError("NOT_FOUND", `No ${channel} matrix rows for '${category}'.`));
+  console.log(
+    `[proxy] ${reqId} ${agentLabel(req.agent)} ${mode} escalation ${channel}${severity ? ` ${severity}` : ""} (${candidates.length} rows)`
+  );
+
+  const respond = (match, extra = {}) => {
+    const record = candidates.find((r) => r.id === match.id);
+    log(`Escalation ${reqId}: ${match.id || "no match"} (${match.confidence || "-"})`);
+    res.json({
+      ok: true,
+      requestId: reqId,
+      mode,
+      severity,
+      match,
+      route: record ? escalationRoute(record) : null,
+      alternatives: candidates
+        .filter((r) => r.id !== match.id)
+        .slice(0, 3)
+        .map((r) => ({ id: r.id, category: r.category, scenario: r.scenario })),
+      model: null,
+      usage: null,
+      ...extra,
     });
+  };
 
-    const msg = await Promise.race([apiPromise, timeoutPromise]);
-    const text = msg?.content?.[0]?.text || "No text content.";
-    log(`Success ${reqId}`);
+  if (mode === "local") {
+    recordUsage(req, { reqId, mode, startedAt, outcome: "ok" });
+    return respond(keywordMatch(corpus.escalationIndex, candidates, query));
+  }
+  const llmError = llm.configError();
+  if (llmError) return fail(llmError);
 
-    return res.json({ ok: true, answer: text });
+  const pii = createRedaction();
+  const content = `Situation:\n<<<\n${pii.redact(situation)}\n>>>${severity ? `\nSeverity: ${severity}` : ""}`;
+  const redacted = logRedaction(reqId, pii);
+  try {
+    const reply = await llm.complete({
+      task: "escalation-match",
+      maxTokens: 300,
+      temperature: 0,
+      system: pii.annotate(buildMatchSystem(candidates)),
+      messages: [{ role: "user", content }],
+    });
+    const { model, fallbackFrom, usage } = reply;
+    recordUsage(req, { reqId, mode, startedAt, model, fallbackFrom, usage, outcome: "ok", redacted });
+    respond(parseMatch(extractJson(pii.restore(reply.text)), candidates), {
+      model: reply.model,
+      usage: toUsage(reply.usage),
+    });
   } catch (e) {
-    // Anthropic errors may include: e.status and e.error (raw body)
-    const status = Number(e?.status || 500);
+    console.error(`Escalation error ${reqId} ${agentLabel(req.agent)}:`, e?.message || e);
+    return fail(e);
+  }
+});
 
-    console.error(`Error ${reqId}:`, e?.message || e);
+// Training guide browser: the source list, slide-level search and one source's sections in order.
+// Served from the loaded corpus rather than public/, so it follows ingests without a rebuild.
+app.get("/api/v1/guide", (req, res) => {
+  res.json({ ok: true, corpusVersion, sources: guide.sources() });
+});
 
-    return res.status(status).json({
-      ok: false,
-      error: e?.message || "Unknown server error",
-      body: e?.error,
-      model: MODEL,
+app.get("/api/v1/guide/search", (req, res) => {
+  const q = String(req.query.q || "").slice(0, 200);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 30, 1), 100);
+  const { terms, hits } = guide.search(q, { source: req.query.source || undefined, limit });
+  res.json({ ok: true, q, terms, total: hits.length, hits });
+});
+
+app.get("/api/v1/guide/:source", (req, res) => {
+  const document = guide.document(req.params.source);
+  if (!document) return sendError(res, proxyError("NOT_FOUND", "Source not found"), newRequestId());
+  res.json({ ok: true, corpusVersion, document });
+});
+
+// Guided flows (decision trees in server/workflows). The client walks the steps itself.
+app.get("/api/v1/workflows", (req, res) => {
+  res.json({ ok: true, workflows: [...workflows.values()].map(workflowSummary) });
+});
+
+app.get("/api/v1/workflows/:id", (req, res) => {
+  const flow = workflows.get(req.params.id);
+  if (!flow) return sendError(res, proxyError("NOT_FOUND", `No guided flow '${req.params.id}'.`), newRequestId());
+  res.json({ ok: true, workflow: flow });
+});
+
+// "Write my note" helpers. The abbreviation list and dropdown reasons come from the training decks.
+app.get("/api/v1/notes/guide", (req, res) => {
+  res.json({
+    ok: true,
+    sources: NOTE_SOURCES,
+    abbreviations: noteGuide.abbreviations,
+    reasons: noteGuide.reasons,
+    format: noteGuide.format,
+  });
+});
+
+// Cryptic note -> plain English. Pure string work, so it needs neither Claude nor a login.
+app.post("/api/v1/notes/expand", (req, res) => {
+  const check = validateNoteExpandRequest(req.body);
+  if (!check.ok) return sendError(res, proxyError("BAD_REQUEST", "Invalid note", { details: check.errors }), newRequestId());
+  res.json({ ok: true, ...noteGuide.expand(req.body.note) });
+});
+
+// What happened -> a note in the approved format. Local Mode only swaps in the approved shorthand.
+const validNoteWrite = requireValidBody(validateNoteWriteRequest, "Invalid note request");
+app.post("/api/v1/notes/write", auth.requireAgent, validNoteWrite, limitCloudSpend, async (req, res) => {
+  const reqId = newRequestId();
+  const startedAt = Date.now();
+  const mode = req.body?.mode === "local" ? "local" : "cloud";
+  const fail = (e) => {
+    recordUsage(req, { reqId, mode, startedAt, outcome: "error", error: e });
+    return sendError(res, e, reqId);
+  };
+
+  if (!noteGuide.abbreviations.length) {
+    return fail(proxyError("SERVER_CONFIG", `${NOTE_SOURCES.abbreviations} is missing from the training chunks.`));
+  }
+
+  const description = req.body.description.trim();
+  console.log(`[proxy] ${reqId} ${agentLabel(req.agent)} ${mode} note (${description.length} chars)`);
+
+  if (mode === "local") {
+    recordUsage(req, { reqId, mode, startedAt, outcome: "ok" });
+    const note = noteGuide.abbreviate(description);
+    return res.json({
+      ok: true,
+      requestId: reqId,
+      mode,
+      note,
+      reason: null,
+      missing: [],
+      unknown: noteGuide.unknownShorthand(note),
+      model: null,
+      usage: null,
+    });
+  }
+  const llmError = llm.configError();
+  if (llmError) return fail(llmError);
+
+  const pii = createRedaction();
+  const content = `What happened:\n<<<\n${pii.redact(description)}\n>>>`;
+  const redacted = logRedaction(reqId, pii);
+  try {
+    const reply = await llm.complete({
+      task: "note-write",
+      maxTokens: 800,
+      temperature: 0,
+      system: pii.annotate(noteGuide.buildWriteSystem()),
+      messages: [{ role: "user", content }],
+    });
+    const { model, fallbackFrom, usage } = reply;
+    const billed = { reqId, mode, startedAt, model, fallbackFrom, usage, redacted };
+
+    const written = extractJson(pii.restore(reply.text));
+    if (!written?.note) {
+      const e = proxyError("UPSTREAM_ERROR", "The model did not return a readable note. Try again.");
+      recordUsage(req, { ...billed, outcome: "error", error: e });
+      return sendError(res, e, reqId);
+    }
+    recordUsage(req, { ...billed, outcome: "ok" });
+    res.json({
+      ok: true,
+      requestId: reqId,
+      mode,
+      ...noteGuide.finishNote(written),
+      model: reply.model,
+      usage: toUsage(reply.usage),
     });
+  } catch (e) {
+    console.error(`Note error ${reqId} ${agentLabel(req.agent)}:`, e?.message || e);
+    return fail(e);
   }
+});
+
+const wantsStream = (req) => String(req.headers.accept || "").includes("text/event-stream");
+
+// The one chat route. JSON by default, SSE when the client sends Accept: text/event-stream.
+const validChat = requireValidBody(validateChatRequest, "Invalid chat request");
+app.post("/api/v1/chat", auth.requireAgent, validChat, limitCloudSpend, (req, res) =>
+  wantsStream(req) ? handleAskStream(req, res) : handleAsk(req, res)
+);
+
+// Legacy aliases from before /api/v1/chat. Same behavior, flagged so old clients can be found and retired.
+function deprecatedChatRoute(req, res, next) {
+  res.set({ Deprecation: "true", Link: '</api/v1/chat>; rel="successor-version"' });
+  log(`Deprecated chat route ${req.path}`);
+  next();
 }
 
-// Routes your frontend tries (keep all to be safe)
+app.post("/api/chat/stream", deprecatedChatRoute, auth.requireAgent, limitCloudSpend, handleAskStream);
 ["/api/claude", "/api/query", "/api/ask", "/api/chat", "/ask", "/chat", "/query"].forEach((r) =>
-  app.post(r, handleAsk)
+  app.post(r, deprecatedChatRoute, auth.requireAgent, limitCloudSpend, handleAsk)
 );
 
+// Unknown API routes and anything thrown past the handlers (express.json() rejecting a body,
+// auth.requireAgent) still answer with the structured error body.
+app.use("/api", (req, res) => {
+  sendError(res, proxyError("NOT_FOUND", `No route for ${req.method} ${req.originalUrl}`), newRequestId());
+});
+
+// eslint-disable-next-line no-unused-vars
+app.use((err, req, res, next) => {
+  const reqId = req.requestId || newRequestId();
+  if (classifyError(err).status >= 500) console.error(`Unhandled ${reqId} ${agentLabel(req.agent)}:`, err?.message || err);
+  return sendError(res, err, reqId);
+});
+
 app.listen(PORT, () => {
   console.log(`Proxy listening on ${PORT}`);
-  console.log(`Model: ${MODEL}`);
+  console.log(`Models (${llm.name}): ${llm.models().map((m) => m.model).join(" > ") || "none"}`);
+  if (!llm.configError()) {
+    llm.validate().then((models) => {
+      for (const m of models) {
+        if (m.status !== "ok") console.warn(`[proxy] Model ${m.model} ${m.status}: ${m.error}`);
+      }
+      if (models.some((m) => m.status === "ok")) console.log(`Answering with ${llm.model}`);
+      else console.warn("[proxy] No model in the chain passed the startup check; Cloud Mode will keep trying them");
+    });
+  }
+  console.log(`Auth: ${AUTH_REQUIRED ? `required (${auth.users.list().length} users)` : "off"}`);
+  console.log("Corpus:", corpus.stats());
+  console.log(`Corpus version: ${corpusVersion ?? "none"}`);
+  console.log(`Guided flows: ${[...workflows.keys()].join(", ") || "none"}`);
+  console.log(`Guardrails: ${guardrails.rules.join(", ") || "none"}`);
 });
@@ -0,0 +1,117 @@
+import XLSX from "xlsx";
+
+// Parses the QA scorecards (qa-voice.xlsx, qa-group.xlsx).
+// Both workbooks hold two forms side by side: the legacy "Service Assessment" on the left
+// and the live scorecard on the right (criteria | poss score | actual | Yes/No/N/A | guideline).
+// Only the right-hand scorecard adds up to 100 points, so that is the one we read.
+
+const COL = { criterion: 8, points: 9, outcome: 11, guideline: 12 };
+
+const OUTCOME_KEYS = { yes: "yes", no: "no", "n/a": "na" };
+
+function clean(v) {
+  return String(v ?? "")
+    .replace(/[\u200b\u00a0]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isTotalRow(text) {
+  return /^(scoring|assessment total score)/i.test(text);
+}
+
+export function loadQaForm(file, { key, label }) {
+  const wb = XLSX.readFile(file);
+  const sheet = wb.SheetNames[0];
+  const ws = wb.Sheets[sheet];
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", blankrows: true });
+  const rowOffset = ws?.["!ref"] ? XLSX.utils.decode_range(ws["!ref"]).s.r : 0;
+
+  const fileName = file.split(/[\\/]/).pop();
+  const criteria = [];
+  const criticalErrors = [];
+  let current = null;
+  let passingPct = null;
+  let afterTotal = false;
+
+  rows.forEach((r, i) => {
+    const cells = r.map(clean);
+    const title = cells[COL.criterion];
+    const points = Number(cells[COL.points]);
+    const outcome = OUTCOME_KEYS[cells[COL.outcome].toLowerCase()];
+
+    if (isTotalRow(title)) {
+      const m = /(\d+(?:\.\d+)?)\s*%/.exec(cells[COL.guideline]);
+      if (m) passingPct = Number(m[1]);
+      afterTotal = true;
+      current = null;
+      return;
+    }
+
+    if (afterTotal) {
+      // e.g. "New critical Errors:" followed by one error per row
+      if (title && !title.endsWith(":")) criticalErrors.push(title);
+      return;
+    }
+
+    if (title && Number.isFinite(points) && points > 0) {
+      current = {
+        id: `${key}-${criteria.length + 1}`,
+        form: key,
+        number: criteria.length + 1,
+        title,
+        points,
+        guidelines: { yes: "", no: "", na: "" },
+        file: fileName,
+        sheet,
+        row: rowOffset + i + 1,
+      };
+      criteria.push(current);
+    }
+
+    if (current && outcome && cells[COL.guideline]) {
+      const prev = current.guidelines[outcome];
+      current.guidelines[outcome] = prev ? `${prev} ${cells[COL.guideline]}` : cells[COL.guideline];
+    }
+  });
+
+  return {
+    key,
+    label,
+    file: fileName,
+    criteria,
+    totalPoints: criteria.reduce((s, c) => s + c.points, 0),
+    passingPct,
+    criticalErrors,
+  };
+}
+
+// Flat text used for retrieval and prompts.
+export function formatCriterion(c) {
+  const g = c.guidelines;
+  return [
+    `${c.title} (${c.points} pts)`,
+    g.yes && `Yes: ${g.yes}`,
+    g.no && `No: ${g.no}`,
+    g.na && `N/A: ${g.na}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function buildQaCitations(hits, { startIndex = 1, snippetChars = 240 } = {}) {
+  return hits.map(({ doc, score }, i) => {
+    const snippet = `${doc.title} (${doc.points} pts) — Yes: ${doc.guidelines.yes || "n/a"}`;
+    return {
+      index: startIndex + i,
+      id: doc.id,
+      source: doc.file,
+      type: "xlsx",
+      sheet: doc.sheet,
+      row: doc.row,
+      slides: [],
+      snippet: snippet.length > snippetChars ? snippet.slice(0, snippetChars) + "…" : snippet,
+      score: Number(score.toFixed(3)),
+    };
+  });
+}
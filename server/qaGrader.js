@@ -0,0 +1,117 @@
+import { formatCriterion } from "./qaForms.js";
+
+// Grades a transcript or ticket against a QA form parsed from the workbook (see qaForms.js).
+// Claude only judges each criterion (yes / no / na + a quote); points, N/A handling and
+// pass/fail are computed here from the workbook so the math always matches Excel.
+
+export const OUTCOMES = ["yes", "no", "na"];
+export const MAX_TRANSCRIPT_CHARS = 60000;
+const MAX_REFERENCE_CHUNKS = 4;
+
+// What each form reviews, and which training decks the coaching notes are grounded in.
+export const QA_REVIEWS = {
+  qaVoice: { subject: "call transcript", inputLabel: "Transcript", references: [] },
+  qaGroup: {
+    subject: "group booking ticket",
+    inputLabel: "Ticket notes",
+    references: ["groups-and-extended-stays-jan-2.pptx"],
+  },
+};
+
+// Training chunks from the review's reference decks, most relevant to this interaction first.
+// A ticket that shares no words with the deck still gets its opening slides as the process baseline.
+export function findReferences(chunks, chunkIndex, review, text) {
+  if (!review?.references.length) return [];
+  const fromDeck = (c) => review.references.includes(c.source_rel);
+  const hits = chunkIndex.search(text, { limit: chunkIndex.size }).filter((h) => fromDeck(h.doc));
+  if (hits.length) return hits.slice(0, MAX_REFERENCE_CHUNKS);
+  return chunks.filter(fromDeck).slice(0, MAX_REFERENCE_CHUNKS).map((doc) => ({ doc, score: 0 }));
+}
+
+export function buildGradingSystem(form, { subject = "call transcript", references = [] } = {}) {
+  const criteria = form.criteria.map((c) => `#${c.number}. ${formatCriterion(c)}`).join("\n\n");
+  const excerpts = references.map(
+    ({ doc }, i) => `<excerpt index="${i + 1}" id="${doc.id}" source="${doc.source_rel}">\n${doc.text}\n</excerpt>`
+  );
+  return [
+    `You are a QA reviewer for a hotel reservations call center, grading one ${subject} against the "${form.label}" scorecard.`,
+    "For every criterion decide:",
+    '- "yes" if the agent met it, "no" if not, "na" only when the N/A guideline applies.',
+    `- evidence: a short exact quote from the ${subject} that supports the decision (empty if there is none).`,
+    "- note: one sentence explaining the decision, written for the agent.",
+    '- coaching: for "no", one concrete thing to do next time; empty otherwise.' +
+      (excerpts.length ? " Base it on the training excerpts and cite them as [1], [2]." : ""),
+    `Grade only what the ${subject} shows; do not assume steps that are not in it.`,
+    "",
+    'Reply with JSON only, no prose around it: {"items":[{"number":1,"outcome":"yes","evidence":"...","note":"...","coaching":""}],"summary":"two or three sentences of coaching"}',
+    "",
+    `Scorecard (${form.criteria.length} criteria, ${form.totalPoints} points):`,
+    criteria,
+    ...(excerpts.length ? ["", "Training excerpts (the process the agent was taught):", ...excerpts] : []),
+  ].join("\n");
+}
+
+// Models sometimes wrap JSON in a code fence or a sentence; take the outermost object.
+export function extractJson(text) {
+  const s = String(text || "");
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    return JSON.parse(s.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+const squash = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// N/A items leave the possible total, like the Excel form. Criteria the model skipped stay in
+// the total with 0 points and are flagged for a human.
+export function scoreScorecard(form, graded, transcript) {
+  const byNumber = new Map((graded?.items || []).map((g) => [Number(g?.number), g]));
+  const haystack = squash(transcript);
+
+  const items = form.criteria.map((c) => {
+    const g = byNumber.get(c.number);
+    const outcome = OUTCOMES.includes(String(g?.outcome).toLowerCase()) ? String(g.outcome).toLowerCase() : null;
+    const evidence = String(g?.evidence || "").trim();
+    return {
+      number: c.number,
+      title: c.title,
+      points: c.points,
+      outcome,
+      awarded: outcome === "yes" ? c.points : 0,
+      evidence,
+      // quotes that are not in the transcript get flagged rather than trusted
+      evidenceVerified: evidence ? haystack.includes(squash(evidence)) : false,
+      note: String(g?.note || "").trim(),
+      coaching: outcome === "no" ? String(g?.coaching || "").trim() : "",
+      needsReview: !outcome,
+      guideline: outcome ? c.guidelines[outcome] || "" : "",
+      sheet: c.sheet,
+      row: c.row,
+    };
+  });
+
+  const possible = items.filter((i) => i.outcome !== "na").reduce((s, i) => s + i.points, 0);
+  const earned = items.reduce((s, i) => s + i.awarded, 0);
+  const pct = possible ? Math.round((earned / possible) * 1000) / 10 : 0;
+
+  return {
+    items,
+    score: {
+      earned,
+      possible,
+      pct,
+      passingPct: form.passingPct,
+      passed: form.passingPct == null ? null : pct >= form.passingPct,
+      needsReview: items.filter((i) => i.needsReview).length,
+    },
+    summary: String(graded?.summary || "").trim(),
+  };
+}
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+
+// Spend protection for Cloud Mode: token buckets (per agent/IP and global) smooth out bursts,
+// and a daily per-team budget caps the tokens/dollars Anthropic can bill in one UTC day.
+
+// capacity = burst size; perMinute = steady refill rate. perMinute <= 0 disables the limiter.
+export function createTokenBucket({ capacity, perMinute }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  // -> { ok: true } or { ok: false, retryAfter } (seconds until one token is available)
+  function take(key) {
+    if (perMinute <= 0) return { ok: true };
+    const now = Date.now();
+    const prev = buckets.get(key) || { tokens: capacity, at: now };
+    const tokens = Math.min(capacity, prev.tokens + (now - prev.at) * refillPerMs);
+
+    if (tokens < 1) {
+      buckets.set(key, { tokens, at: now });
+      return { ok: false, retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) };
+    }
+    buckets.set(key, { tokens: tokens - 1, at: now });
+
+    // full buckets carry no state; drop them so idle agents/IPs don't pile up
+    if (buckets.size > 5000) {
+      for (const [k, b] of buckets) if (b.tokens + (now - b.at) * refillPerMs >= capacity) buckets.delete(k);
+    }
+    return { ok: true };
+  }
+
+  return { take };
+}
+
+const utcDay = (ts = Date.now()) => new Date(ts).toISOString().slice(0, 10);
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Anthropic list prices in USD per million tokens, by model family. A dated id
+// ("claude-sonnet-4-5-20250929") is priced as its family; other models use the default rates.
+export const MODEL_PRICES = {
+  "claude-opus-4-5": { inputPerMTok: 5, outputPerMTok: 25 },
+  "claude-sonnet-4-5": { inputPerMTok: 3, outputPerMTok: 15 },
+  "claude-haiku-4-5": { inputPerMTok: 1, outputPerMTok: 5 },
+};
+
+// pricing: { inputPerMTok, outputPerMTok, models: { [family]: rates } }
+export function priceOf(pricing, model) {
+  const family = Object.keys(pricing.models || {})
+    .filter((f) => String(model || "").startsWith(f))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? pricing.models[family] : pricing;
+}
+
+// model: the one that answered, so a fallback is billed at its own rate
+export function estimateCostUsd(usage, pricing, model) {
+  const rates = priceOf(pricing, model);
+  const input = (usage?.input_tokens || 0) * rates.inputPerMTok;
+  const output = (usage?.output_tokens || 0) * rates.outputPerMTok;
+  return (input + output) / 1e6;
+}
+
+// Totals survive restarts in `file` (one small JSON snapshot, rewritten per request).
+// tokenLimit / costLimitUsd of 0 mean "no limit" for that dimension.
+export function createDailyBudget({ file, tokenLimit = 0, costLimitUsd = 0, pricing }) {
+  let state = { day: utcDay(), teams: {} };
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (saved?.day === state.day && saved.teams) state = saved;
+  } catch {
+    // first run or unreadable snapshot: start the day at zero
+  }
+
+  function current() {
+    if (state.day !== utcDay()) state = { day: utcDay(), teams: {} };
+    return state;
+  }
+
+  function totals(team) {
+    return current().teams[team] || { inputTokens: 0, outputTokens: 0, costUsd: 0, requests: 0 };
+  }
+
+  // -> { ok: true } or { ok: false, retryAfter, reason }
+  function check(team) {
+    const t = totals(team);
+    const tokens = t.inputTokens + t.outputTokens;
+    if (tokenLimit > 0 && tokens >= tokenLimit) {
+      return { ok: false, retryAfter: secondsUntilUtcMidnight(), reason: `${tokens} of ${tokenLimit} tokens used today` };
+    }
+    if (costLimitUsd > 0 && t.costUsd >= costLimitUsd) {
+      return {
+        ok: false,
+        retryAfter: secondsUntilUtcMidnight(),
+        reason: `$${t.costUsd.toFixed(2)} of $${costLimitUsd.toFixed(2)} spent today`,
+      };
+    }
+    return { ok: true };
+  }
+
+  function record(team, usage, model) {
+    if (!usage) return;
+    const t = totals(team);
+    current().teams[team] = {
+      inputTokens: t.inputTokens + (usage.input_tokens || 0),
+      outputTokens: t.outputTokens + (usage.output_tokens || 0),
+      costUsd: t.costUsd + estimateCostUsd(usage, pricing, model),
+      requests: t.requests + 1,
+    };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.warn("[proxy] Could not save budget snapshot:", e?.message || e);
+    }
+  }
+
+  return { check, record, totals, limits: { tokenLimit, costLimitUsd } };
+}
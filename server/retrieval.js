@@ -0,0 +1,121 @@
+import fs from "fs";
+
+// Small, dependency-free BM25 index used to ground answers in the local corpus.
+// Documents are plain objects; `fields` picks which string props get indexed.
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how i if in into is it its me my " +
+    "no not of on or our so that the their them then there these they this to was we what when " +
+    "where which who will with you your"
+  ).split(" ")
+);
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9#]+/)
+    .map((t) => t.replace(/^#+/, ""))
+    .filter((t) => t && t.length > 1 && !STOPWORDS.has(t));
+}
+
+export function createBm25Index(docs, { fields = ["text"], k1 = 1.2, b = 0.75 } = {}) {
+  const postings = new Map(); // term -> Map(docIdx -> tf)
+  const lengths = [];
+
+  docs.forEach((doc, i) => {
+    const terms = tokenize(fields.map((f) => doc?.[f] ?? "").join(" "));
+    lengths[i] = terms.length;
+    for (const t of terms) {
+      let row = postings.get(t);
+      if (!row) postings.set(t, (row = new Map()));
+      row.set(i, (row.get(i) || 0) + 1);
+    }
+  });
+
+  const N = docs.length;
+  const avgLen = lengths.reduce((s, n) => s + n, 0) / (N || 1) || 1;
+
+  function search(query, { limit = 5, minScore = 0 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+
+    for (const t of terms) {
+      const row = postings.get(t);
+      if (!row) continue;
+      const idf = Math.log(1 + (N - row.size + 0.5) / (row.size + 0.5));
+      for (const [i, tf] of row) {
+        const norm = tf + k1 * (1 - b + (b * lengths[i]) / avgLen);
+        scores.set(i, (scores.get(i) || 0) + (idf * tf * (k1 + 1)) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([, s]) => s > minScore)
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, limit)
+      .map(([i, score]) => ({ doc: docs[i], score }));
+  }
+
+  return { size: N, search };
+}
+
+export function loadChunks(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const out = [];
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const c = JSON.parse(line);
+      if (c?.id && String(c.text || "").trim()) out.push(c);
+    } catch {
+      // skip malformed lines, the rest of the corpus is still usable
+    }
+  }
+  return out;
+}
+
+// "[Slide N]" markers come from the PPTX export that produced training_guide.txt.
+export function splitSlides(text) {
+  const out = [];
+  const re = /\[Slide (\d+)\]/g;
+  let m;
+  let prev = null;
+  while ((m = re.exec(text))) {
+    if (prev) out.push({ slide: prev.slide, text: text.slice(prev.start, m.index).trim() });
+    prev = { slide: Number(m[1]), start: m.index + m[0].length };
+  }
+  if (prev) out.push({ slide: prev.slide, text: text.slice(prev.start).trim() });
+  return out;
+}
+
+function collapse(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+// Turns search hits into the footnotes shown under an answer. The `index` matches
+// the excerpt number the model was told to cite as [n].
+export function buildCitations(hits, query, { maxSlides = 3, snippetChars = 240 } = {}) {
+  const terms = new Set(tokenize(query));
+
+  return hits.map(({ doc, score }, i) => {
+    const slides = splitSlides(doc.text)
+      .map((s) => ({ ...s, overlap: tokenize(s.text).filter((t) => terms.has(t)).length }))
+      .filter((s) => s.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, maxSlides);
+
+    const best = slides[0]?.text ?? doc.text.replace(/^\[Sheet: [^\]]*\]/, "");
+    const snippet = collapse(best);
+
+    return {
+      index: i + 1,
+      id: doc.id,
+      source: doc.source_rel,
+      type: doc.type,
+      slides: slides.map((s) => s.slide).sort((a, b) => a - b),
+      snippet: snippet.length > snippetChars ? snippet.slice(0, snippetChars) + "…" : snippet,
+      score: Number(score.toFixed(3)),
+    };
+  });
+}
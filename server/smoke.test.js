@@ -0,0 +1,169 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+
+// `npm test`: boots the proxy with the offline mock provider (LLM_PROVIDER=mock) and checks the
+// chat route end to end (JSON and SSE), feedback on its answer and the escalation lookup. No model
+// is called; runtime data goes to a temp dir.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STARTUP_MS = 20000;
+
+let proxy, base, dataDir;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const srv = net.createServer().once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+
+async function waitForHealth() {
+  const deadline = Date.now() + STARTUP_MS;
+  while (Date.now() < deadline) {
+    if (proxy.exitCode != null) throw new Error(`Proxy exited with code ${proxy.exitCode}`);
+    try {
+      const res = await fetch(`${base}/health`);
+      if (res.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`Proxy did not answer /health within ${STARTUP_MS} ms`);
+}
+
+const postChat = (body, headers = {}) =>
+  fetch(`${base}/api/v1/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+// -> [{ event, data }] for a whole text/event-stream body
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter((raw) => raw.trim())
+    .map((raw) => {
+      const lines = raw.split("\n");
+      const event = lines.find((l) => l.startsWith("event:"))?.slice(6).trim() || "message";
+      const data = lines.filter((l) => l.startsWith("data:")).map((l) => l.slice(5).trimStart());
+      return { event, data: JSON.parse(data.join("\n")) };
+    });
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cc-smoke-"));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  proxy = spawn(process.execPath, ["server/proxy.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      LLM_PROVIDER: "mock",
+      AUTH_REQUIRED: "false",
+      MIRROR_CONVERSATIONS: "false",
+      DATA_DIR: dataDir,
+      PORT: String(port),
+    },
+    stdio: "ignore",
+  });
+  await waitForHealth();
+});
+
+after(async () => {
+  if (proxy && proxy.exitCode == null) {
+    proxy.kill();
+    await once(proxy, "exit");
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("/health reports the mock provider", async () => {
+  const body = await (await fetch(`${base}/health`)).json();
+  assert.equal(body.ok, true);
+  assert.equal(body.provider, "mock");
+  assert.equal(body.model, "mock");
+});
+
+test("POST /api/v1/chat answers as JSON", async () => {
+  const res = await postChat({ question: "How do I cancel a reservation?" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.match(body.requestId, /^req_/);
+  assert.equal(body.mode, "cloud");
+  assert.equal(body.model, "mock");
+  assert.match(body.answer, /How do I cancel a reservation\?/);
+  assert.equal(body.guardrail.status, "pass");
+});
+
+test("POST /api/v1/chat streams deltas, then the same answer in `done`", async () => {
+  const res = await postChat({ question: "How do I cancel a reservation?" }, { Accept: "text/event-stream" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+
+  const events = parseSse(await res.text());
+  const deltas = events.filter((e) => e.event === "delta").map((e) => e.data.text);
+  const done = events.find((e) => e.event === "done");
+  assert.ok(deltas.length > 1, "expected the answer in several deltas");
+  assert.ok(done, "expected a done event");
+  assert.equal(done.data.ok, true);
+  assert.equal(deltas.join(""), done.data.answer);
+});
+
+test("POST /api/v1/chat rejects a body without a question", async () => {
+  const res = await postChat({});
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "BAD_REQUEST");
+  assert.match(body.requestId, /^req_/);
+});
+
+test("POST /api/feedback accepts a served answer and rejects a made-up id", async () => {
+  const answer = await (await postChat({ question: "How do I cancel a reservation?" })).json();
+  const vote = (requestId) =>
+    fetch(`${base}/api/feedback`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ requestId, rating: "down", reason: "unclear" }),
+    });
+
+  // the usage entry is appended asynchronously
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const ok = await vote(answer.requestId);
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).status, "open");
+
+  const made = await vote("req_0_deadbeef");
+  assert.equal(made.status, 404);
+  assert.equal((await made.json()).code, "NOT_FOUND");
+});
+
+test("POST /api/v1/escalation/match routes from the Sept 2025 matrices and echoes severity", async () => {
+  const res = await fetch(`${base}/api/v1/escalation/match`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      channel: "ticket",
+      situation: "Guest asked for a refund by email over 10 days ago",
+      severity: "high",
+      mode: "local",
+    }),
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.severity, "high");
+  assert.equal(body.route.source.file, "ticket-escalation-matrix-2025-sept.xlsx");
+  assert.ok(body.route.paths.some((p) => p.label === "Email to TicketReview" && p.used));
+});
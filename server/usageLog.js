@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+
+// Append-only usage log: one JSON line per chat request in DATA_DIR/usage/usage-YYYY-MM.jsonl.
+// Monthly files keep report reads bounded to the months asked for.
+// Entry: { ts, requestId, agent, team, route, mode, stream, model, fallbackFrom, corpusVersion, docs,
+//          outcome, errorCode, redacted, guardrail, guardrailRules, inputTokens, outputTokens, costUsd, latencyMs }
+// fallbackFrom: the preferred model when a fallback answered instead (null: the preferred one did)
+// redacted: { kind: count } of guest details kept out of the upstream call, or null
+// guardrail: "pass" | "warn" | "block" from the compliance check (null: not checked); guardrailRules: rule ids hit
+// outcome: "ok" | "stopped" (agent hit Stop) | "error" | "rejected" (rate limit / budget)
+
+export const USAGE_GROUPS = ["day", "agent", "team", "model"];
+
+const monthOf = (ts) => new Date(ts).toISOString().slice(0, 7);
+
+function monthsBetween(from, to) {
+  const months = [];
+  const d = new Date(`${monthOf(from)}-01T00:00:00Z`);
+  while (monthOf(d.getTime()) <= monthOf(to)) {
+    months.push(monthOf(d.getTime()));
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+export function createUsageLog(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (month) => path.join(dir, `usage-${month}.jsonl`);
+
+  function append(entry) {
+    const line = JSON.stringify({ ts: Date.now(), ...entry });
+    fs.appendFile(fileFor(monthOf(Date.now())), `${line}\n`, (e) => {
+      if (e) console.warn("[proxy] Could not write usage entry:", e.message);
+    });
+  }
+
+  // from/to are epoch ms (inclusive)
+  async function read({ from, to }) {
+    const entries = [];
+    for (const month of monthsBetween(from, to)) {
+      let text;
+      try {
+        text = await fs.promises.readFile(fileFor(month), "utf8");
+      } catch {
+        continue;
+      }
+      for (const line of text.split("\n")) {
+        if (!line) continue;
+        try {
+          const e = JSON.parse(line);
+          if (e.ts >= from && e.ts <= to) entries.push(e);
+        } catch {
+          // a torn last line after a crash; skip it
+        }
+      }
+    }
+    return entries;
+  }
+
+  // -> the entries logged for one request since `since` (epoch ms), oldest first
+  async function find(requestId, { since }) {
+    const entries = [];
+    for (const month of monthsBetween(since, Date.now())) {
+      let text;
+      try {
+        text = await fs.promises.readFile(fileFor(month), "utf8");
+      } catch {
+        continue;
+      }
+      for (const line of text.split("\n")) {
+        if (!line.includes(requestId)) continue;
+        try {
+          const e = JSON.parse(line);
+          if (e.requestId === requestId && e.ts >= since) entries.push(e);
+        } catch {
+          // torn line, as in read()
+        }
+      }
+    }
+    return entries;
+  }
+
+  return { append, read, find };
+}
+
+const groupKey = (e, groupBy) =>
+  groupBy === "day" ? new Date(e.ts).toISOString().slice(0, 10) : String(e[groupBy] ?? "unknown");
+
+function emptyRow(key) {
+  return {
+    key,
+    requests: 0,
+    ok: 0,
+    stopped: 0,
+    errors: 0,
+    rejected: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    latencyMs: 0,
+  };
+}
+
+function addEntry(row, e) {
+  row.requests++;
+  if (e.outcome === "ok") row.ok++;
+  else if (e.outcome === "stopped") row.stopped++;
+  else if (e.outcome === "rejected") row.rejected++;
+  else row.errors++;
+  row.inputTokens += e.inputTokens || 0;
+  row.outputTokens += e.outputTokens || 0;
+  row.costUsd += e.costUsd || 0;
+  row.latencyMs += e.latencyMs || 0;
+  return row;
+}
+
+const finishRow = ({ latencyMs, ...row }) => ({
+  ...row,
+  costUsd: Number(row.costUsd.toFixed(4)),
+  avgLatencyMs: row.requests ? Math.round(latencyMs / row.requests) : 0,
+});
+
+export function summarizeUsage(entries, groupBy) {
+  const rows = new Map();
+  for (const e of entries) {
+    const key = groupKey(e, groupBy);
+    addEntry(rows.get(key) || rows.set(key, emptyRow(key)).get(key), e);
+  }
+  const sorted = [...rows.values()].map(finishRow);
+  // days read best in order; everything else by who/what costs the most
+  if (groupBy === "day") return sorted.sort((a, b) => a.key.localeCompare(b.key));
+  return sorted.sort((a, b) => b.costUsd - a.costUsd);
+}
+
+export function usageTotals(entries) {
+  return finishRow(entries.reduce(addEntry, emptyRow("total")));
+}
+
+function csvCell(value) {
+  const s = Array.isArray(value) ? value.join(" ") : String(value ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const USAGE_COLUMNS = [
+  "ts",
+  "requestId",
+  "agent",
+  "team",
+  "route",
+  "mode",
+  "stream",
+  "model",
+  "fallbackFrom",
+  "corpusVersion",
+  "docs",
+  "outcome",
+  "errorCode",
+  "guardrail",
+  "guardrailRules",
+  "inputTokens",
+  "outputTokens",
+  "costUsd",
+  "latencyMs",
+];
+
+export function toCsv(rows, cols = Object.keys(rows[0] || {})) {
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+}
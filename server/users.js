@@ -0,0 +1,80 @@
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { DEFAULT_TEAM, ROLES, createUserStore } from "./auth.js";
+
+// Agent accounts for the proxy login.
+//   npm run users -- add <username> [--name "Full Name"] [--role agent|supervisor|admin] [--team name]
+//   npm run users -- disable <username> | enable <username> | remove <username> | list
+// The password is read from AGENT_PASSWORD, or prompted for.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+for (const p of [path.join(process.cwd(), "server", ".env"), path.join(process.cwd(), ".env")]) dotenv.config({ path: p });
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const USERS_FILE = process.env.USERS_FILE || path.join(DATA_DIR, "users.json");
+
+function readFlag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    let answer = "";
+    rl.question(question, (a) => {
+      answer = a;
+      rl.close();
+    });
+    rl.on("close", () => resolve(answer));
+  });
+}
+
+async function main() {
+  const [command, username, ...rest] = process.argv.slice(2);
+  const users = createUserStore(USERS_FILE);
+
+  switch (command) {
+    case "add": {
+      const existing = users.find(username);
+      let password = process.env.AGENT_PASSWORD;
+      if (!password) password = await prompt(existing ? "New password (empty keeps current): " : "Password: ");
+      if (password && password.length < 8) throw new Error("Password must be at least 8 characters");
+
+      const user = users.upsert({
+        username,
+        name: readFlag(rest, "name"),
+        role: readFlag(rest, "role"),
+        team: readFlag(rest, "team"),
+        password,
+      });
+      console.log(`${existing ? "Updated" : "Added"} ${user.username} (${user.role}, team ${user.team}) in ${USERS_FILE}`);
+      break;
+    }
+    case "disable":
+    case "enable": {
+      if (!users.find(username)) throw new Error(`No user '${username}'`);
+      users.upsert({ username, disabled: command === "disable" });
+      console.log(`${command === "disable" ? "Disabled" : "Enabled"} ${username}`);
+      break;
+    }
+    case "remove":
+      console.log(users.remove(username) ? `Removed ${username}` : `No user '${username}'`);
+      break;
+    case "list":
+      for (const u of users.list()) {
+        console.log(`${u.username}\t${u.role}\t${u.team || DEFAULT_TEAM}\t${u.disabled ? "disabled" : "active"}\t${u.name}`);
+      }
+      break;
+    default:
+      console.log(`Usage: npm run users -- add|disable|enable|remove <username> | list   (roles: ${ROLES.join(", ")})`);
+      process.exitCode = 1;
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
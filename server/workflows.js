@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { validateWorkflow } from "./contract.js";
+import { splitSlides } from "./retrieval.js";
+
+// Guided flows: server/workflows/*.json, one decision tree per procedure deck.
+// A step with options is a question; a step without options is a final action.
+// Every step names the slides it comes from; they are resolved against the training chunks
+// at load time so the step card can show the slide text the agent is following.
+
+const SNIPPET_CHARS = 600;
+
+// Structural problems Ajv cannot see: dangling "next" ids and a missing start step.
+function brokenLinks(flow) {
+  const problems = [];
+  if (!flow.steps[flow.start]) problems.push(`start step '${flow.start}' does not exist`);
+  for (const [id, step] of Object.entries(flow.steps)) {
+    for (const o of step.options || []) {
+      if (!flow.steps[o.next]) problems.push(`step '${id}' option '${o.label}' points to missing '${o.next}'`);
+    }
+  }
+  return problems;
+}
+
+function resolveSource(chunks, { file, slides = [] }) {
+  const fromFile = chunks.filter((c) => c.source_rel === file);
+  if (!fromFile.length) return { file, slides, chunkId: null, snippet: "" };
+
+  const wanted = new Set(slides);
+  const parts = slides.length
+    ? fromFile.flatMap((c) => splitSlides(c.text).filter((s) => wanted.has(s.slide)).map((s) => ({ ...s, id: c.id })))
+    : [{ id: fromFile[0].id, text: fromFile[0].text }];
+  const snippet = parts
+    .map((p) => p.text)
+    .join("\n")
+    .replace(/\s+\n/g, "\n")
+    .trim();
+  return {
+    file,
+    slides,
+    chunkId: parts[0]?.id || fromFile[0].id,
+    snippet: snippet.length > SNIPPET_CHARS ? snippet.slice(0, SNIPPET_CHARS) + "…" : snippet,
+  };
+}
+
+// A broken definition is logged and skipped; the other flows still load.
+export function loadWorkflows(dir, chunks) {
+  const flows = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    console.error("Failed to read workflows:", e?.message || e);
+  }
+
+  for (const f of files.sort()) {
+    try {
+      const flow = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+      const check = validateWorkflow(flow);
+      const problems = check.ok ? brokenLinks(flow) : check.errors;
+      if (problems.length) throw new Error(problems.join("; "));
+      if (flows.has(flow.id)) throw new Error(`duplicate workflow id '${flow.id}'`);
+
+      for (const step of Object.values(flow.steps)) {
+        step.sources = (step.sources || []).map((s) => resolveSource(chunks, s));
+        for (const s of step.sources) {
+          if (!s.snippet) console.warn(`[proxy] Workflow ${f}: no training text for ${s.file} ${s.slides.join(",")}`);
+        }
+      }
+      flows.set(flow.id, { ...flow, file: f });
+    } catch (e) {
+      console.error(`Failed to load workflow ${f}:`, e?.message || e);
+    }
+  }
+  return flows;
+}
+
+export function workflowSummary(flow) {
+  const steps = Object.values(flow.steps);
+  return {
+    id: flow.id,
+    title: flow.title,
+    summary: flow.summary,
+    keywords: flow.keywords || [],
+    steps: steps.length,
+    sources: [...new Set(steps.flatMap((s) => s.sources.map((x) => x.file)))],
+  };
+}
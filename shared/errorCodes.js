@@ -0,0 +1,64 @@
+// Stable error codes returned by the proxy (`{ ok: false, code, error, retryAfter }`)
+// and switched on by the UI. Imported by both server/ and src/, so keep it dependency-free.
+
+export const ERROR_CODES = {
+  NO_CREDITS: "NO_CREDITS",
+  AUTH: "AUTH",
+  UNAUTHENTICATED: "UNAUTHENTICATED",
+  FORBIDDEN: "FORBIDDEN",
+  RATE_LIMITED: "RATE_LIMITED",
+  BUDGET_EXCEEDED: "BUDGET_EXCEEDED",
+  UPSTREAM_TIMEOUT: "UPSTREAM_TIMEOUT",
+  UPSTREAM_OVERLOADED: "UPSTREAM_OVERLOADED",
+  UPSTREAM_UNAVAILABLE: "UPSTREAM_UNAVAILABLE",
+  MODEL_NOT_FOUND: "MODEL_NOT_FOUND",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  BAD_REQUEST: "BAD_REQUEST",
+  NOT_FOUND: "NOT_FOUND",
+  SERVER_CONFIG: "SERVER_CONFIG",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  INTERNAL: "INTERNAL",
+  // client-side only (the request never got a proxy answer)
+  NETWORK: "NETWORK",
+  CLIENT_TIMEOUT: "CLIENT_TIMEOUT",
+};
+
+// status: what the proxy answers with; retryable: safe for the UI to retry automatically.
+export const ERROR_INFO = {
+  NO_CREDITS: { status: 402, retryable: false, message: "💳 Claude credits are empty." },
+  AUTH: { status: 502, retryable: false, message: "🔒 The server's Anthropic API key was rejected." },
+  UNAUTHENTICATED: { status: 401, retryable: false, message: "🔑 Please sign in to use the assistant." },
+  FORBIDDEN: { status: 403, retryable: false, message: "⛔ Your account is not allowed to do that." },
+  RATE_LIMITED: { status: 429, retryable: true, message: "⏳ Rate limit hit. Please try again in a moment." },
+  BUDGET_EXCEEDED: {
+    status: 429,
+    retryable: false,
+    message: "🪫 Today's Claude budget for your team is used up. Local Mode still works.",
+  },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: false, message: "⏱️ Claude took too long to answer. Try again." },
+  UPSTREAM_OVERLOADED: { status: 503, retryable: true, message: "🌩️ Claude is overloaded right now. Try again shortly." },
+  UPSTREAM_UNAVAILABLE: { status: 502, retryable: true, message: "🛰️ The server could not reach Claude." },
+  MODEL_NOT_FOUND: {
+    status: 502,
+    retryable: false,
+    message:
+      "🧩 The configured Claude model does not exist. Set CLAUDE_MODEL (or CLAUDE_MODELS) on the server to a current " +
+      "model; /health shows which models work.",
+  },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    retryable: false,
+    message: "📦 Request too large. Shorten the question or reduce selected docs.",
+  },
+  BAD_REQUEST: { status: 400, retryable: false, message: "⚠️ The server rejected the request." },
+  NOT_FOUND: { status: 404, retryable: false, message: "🔎 Server cannot find the requested resource." },
+  SERVER_CONFIG: { status: 500, retryable: false, message: "🛠️ The server is missing configuration." },
+  UPSTREAM_ERROR: { status: 502, retryable: true, message: "⚠️ Claude returned an error." },
+  INTERNAL: { status: 500, retryable: true, message: "⚠️ Server error." },
+  NETWORK: { status: 0, retryable: false, message: "⚠️ Network error. Check server / internet." },
+  CLIENT_TIMEOUT: { status: 0, retryable: false, message: "⏱️ Timed out. Server took too long. Try again." },
+};
+
+export function errorInfo(code) {
+  return ERROR_INFO[code] || ERROR_INFO.INTERNAL;
+}
@@ -0,0 +1,12 @@
+// Feedback vocabulary shared by the proxy (validation, storage) and the UI (labels).
+
+export const FEEDBACK_REASONS = [
+  { key: "wrong-policy", label: "Wrong policy" },
+  { key: "outdated", label: "Outdated" },
+  { key: "missing-step", label: "Missing step" },
+  { key: "unclear", label: "Unclear" },
+  { key: "other", label: "Other" },
+];
+
+// Review queue: open -> triaged (a trainer is on it) -> resolved (guide or prompt fixed)
+export const FEEDBACK_STATUSES = ["open", "triaged", "resolved"];
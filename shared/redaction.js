@@ -0,0 +1,160 @@
+// Guest data redaction for everything the proxy sends upstream. Agents paste real situations,
+// so before a Cloud Mode call card numbers, emails, phones and booking references become
+// placeholders like [EMAIL_1]; the same value always gets the same placeholder within a request.
+// The answer gets the values back, except card numbers, which only come back masked.
+// Only kinds and counts are logged, never the values.
+// Also shared with the browser: what gets written to disk (feedback, conversation history, on the
+// server and in IndexedDB) is stored redacted, not restored.
+
+export const PII_KINDS = {
+  itinerary: "ITINERARY",
+  cancellation: "CXL",
+  confirmation: "CONFIRMATION",
+  card: "CARD",
+  email: "EMAIL",
+  phone: "PHONE",
+  number: "NUMBER",
+};
+
+// Longest label first: "IT" would otherwise match the start of "itinerary" and stop there.
+// "IT# 123456", "itinerary number: HP-55512", "CXL#88812", "conf # ABC123" — label kept, value replaced.
+const REFERENCE_RES = [
+  ["itinerary", /\b((?:itinerary|ITIN|IT)(?:\s*(?:number|no\.?|num))?\s*#?\s*:?\s*)([A-Z0-9][A-Z0-9-]{3,24})\b/gi],
+  ["cancellation", /\b((?:cancel+ation|CXL)(?:\s*(?:number|no\.?|num))?\s*#?\s*:?\s*)([A-Z0-9][A-Z0-9-]{3,24})\b/gi],
+  ["confirmation", /\b((?:confirmation|conf)(?:\s*(?:number|no\.?|num))?\s*#?\s*:?\s*)([A-Z0-9][A-Z0-9-]{3,24})\b/gi],
+];
+const CARD_RE = /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g;
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_RE = /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[ .-])\d{3,4}[ .-]?\d{3,4}(?!\w)/g;
+// Whatever long digit run is left (an unlabeled itinerary, part of a card), redacted to be safe.
+const NUMBER_RE = /(?<!\d)\d{8,}(?!\d)/g;
+const PLACEHOLDER_RE = /\[(ITINERARY|CXL|CONFIRMATION|CARD|EMAIL|PHONE|NUMBER)_(\d+)\]/g;
+const KIND_OF_LABEL = Object.fromEntries(Object.entries(PII_KINDS).map(([kind, label]) => [label, kind]));
+
+const PLACEHOLDER_NOTE =
+  "Guest details were replaced with placeholders such as [EMAIL_1], [PHONE_1] or [ITINERARY_1] before reaching you. " +
+  "Keep a placeholder exactly as written when you refer to that detail; never guess the real value.";
+
+const digitsOf = (s) => s.replace(/\D/g, "");
+
+export function luhnValid(number) {
+  const digits = digitsOf(number);
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Full card numbers written out in `text` (the compliance check uses this on answers).
+export const findCardNumbers = (text) => (String(text ?? "").match(CARD_RE) || []).filter(luhnValid);
+
+// IDs must carry a digit, or "itinerary number please" would eat "please".
+const hasDigit = (s) => /\d/.test(s);
+
+// One per request: redact() everything going upstream, restore() what comes back.
+// Text can already hold placeholders (a thread reopened from redacted history): reserve() it first,
+// so a new value never reuses a number that stands for an earlier one.
+export function createRedaction() {
+  const tokenOf = new Map(); // "kind\u0000value" -> placeholder
+  const valueOf = new Map(); // placeholder -> { kind, value }
+  const counts = {}; // new values redacted here, per kind
+  const lastNumber = {}; // highest placeholder number in use, per kind
+
+  function reserve(text) {
+    for (const [, label, n] of String(text ?? "").matchAll(PLACEHOLDER_RE)) {
+      const kind = KIND_OF_LABEL[label];
+      lastNumber[kind] = Math.max(lastNumber[kind] || 0, Number(n));
+    }
+  }
+
+  function placeholder(kind, value) {
+    const key = `${kind}\u0000${kind === "card" || kind === "phone" ? digitsOf(value) : value.toLowerCase()}`;
+    let token = tokenOf.get(key);
+    if (!token) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      lastNumber[kind] = (lastNumber[kind] || 0) + 1;
+      token = `[${PII_KINDS[kind]}_${lastNumber[kind]}]`;
+      tokenOf.set(key, token);
+      valueOf.set(token, { kind, value });
+    }
+    return token;
+  }
+
+  function redact(text) {
+    reserve(text);
+    let out = String(text ?? "");
+    for (const [kind, re] of REFERENCE_RES) {
+      out = out.replace(re, (whole, label, value) => (hasDigit(value) ? label + placeholder(kind, value) : whole));
+    }
+    // A card-shaped number that fails Luhn is usually a mistyped card: still not sent.
+    out = out.replace(CARD_RE, (m) => (luhnValid(m) ? placeholder("card", m) : placeholder("number", m)));
+    out = out.replace(EMAIL_RE, (m) => placeholder("email", m));
+    out = out.replace(PHONE_RE, (m) => {
+      const n = digitsOf(m).length;
+      return n >= 10 && n <= 15 ? placeholder("phone", m) : m;
+    });
+    return out.replace(NUMBER_RE, (m) => placeholder("number", m));
+  }
+
+  // Cards come back as "card ending 1234": the agent has the number, the transcript should not.
+  function restore(text) {
+    return String(text ?? "").replace(PLACEHOLDER_RE, (token) => {
+      const hit = valueOf.get(token);
+      if (!hit) return token;
+      return hit.kind === "card" ? `card ending ${digitsOf(hit.value).slice(-4)}` : hit.value;
+    });
+  }
+
+  // Streamed deltas can split a placeholder; hold back an unfinished "[..." until it closes.
+  function restoreStream() {
+    let pending = "";
+    return {
+      push(delta) {
+        pending += delta;
+        const open = pending.lastIndexOf("[");
+        const cut = open >= 0 && !pending.includes("]", open) && pending.length - open <= 20 ? open : pending.length;
+        const ready = pending.slice(0, cut);
+        pending = pending.slice(cut);
+        return restore(ready);
+      },
+      flush() {
+        const rest = restore(pending);
+        pending = "";
+        return rest;
+      },
+    };
+  }
+
+  // -> { card: 1, email: 2 } (empty when nothing was found)
+  const summary = () => ({ ...counts });
+
+  // The system prompt, plus how to treat placeholders when there are any.
+  const annotate = (system) => (Object.keys(lastNumber).length ? `${system}\n\n${PLACEHOLDER_NOTE}` : system);
+
+  return { reserve, redact, restore, restoreStream, summary, annotate };
+}
+
+// A saved thread with every message text and the title redacted. One redaction for the whole
+// record, so a value repeated across messages keeps its placeholder.
+export function redactConversation(conversation) {
+  const pii = createRedaction();
+  pii.reserve(conversation.title);
+  for (const m of conversation.messages || []) pii.reserve(m?.text);
+  return {
+    ...conversation,
+    title: typeof conversation.title === "string" ? pii.redact(conversation.title) : conversation.title,
+    messages: (conversation.messages || []).map((m) =>
+      typeof m?.text === "string" ? { ...m, text: pii.redact(m.text) } : m
+    ),
+  };
+}
+
+export function describeRedaction(summary) {
+  return Object.entries(summary)
+    .map(([kind, n]) => `${kind}×${n}`)
+    .join(", ");
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedaction, redactConversation } from "./redaction.js";
+
+test("the same value keeps its placeholder and comes back restored", () => {
+  const pii = createRedaction();
+  const out = pii.redact("Mail ann@example.com, then ann@example.com again; call +1 415 555 0100.");
+  assert.equal(out, "Mail [EMAIL_1], then [EMAIL_1] again; call [PHONE_1].");
+  assert.deepEqual(pii.summary(), { email: 1, phone: 1 });
+  assert.equal(pii.restore("Write to [EMAIL_1]."), "Write to ann@example.com.");
+});
+
+test("card numbers only come back as their last four digits", () => {
+  const pii = createRedaction();
+  assert.equal(pii.redact("Card 4111 1111 1111 1111"), "Card [CARD_1]");
+  assert.equal(pii.restore("Charge [CARD_1]."), "Charge card ending 1111.");
+});
+
+test("a reopened thread plus a new value gets distinct placeholders", () => {
+  // what IndexedDB hands back for an earlier guest, then a follow-up about another one
+  const history = ["Guest [EMAIL_1] wants to cancel.", "Noted. Confirm from [EMAIL_1]."];
+  const question = "Now bob@example.com asks the same; his number is +44 20 7946 0958.";
+
+  const pii = createRedaction();
+  for (const text of history) pii.reserve(text);
+  const turns = history.map((text) => pii.redact(text));
+  const asked = pii.redact(question);
+
+  assert.deepEqual(turns, history);
+  assert.equal(asked, "Now [EMAIL_2] asks the same; his number is [PHONE_1].");
+  assert.deepEqual(pii.summary(), { email: 1, phone: 1 });
+  // the earlier guest's placeholder is not ours to fill in
+  assert.equal(pii.restore("[EMAIL_1] / [EMAIL_2]"), "[EMAIL_1] / bob@example.com");
+});
+
+test("redactConversation numbers new values after the thread's own placeholders", () => {
+  const saved = redactConversation({
+    title: "Cancel for new@example.com",
+    messages: [
+      { role: "user", text: "Guest [EMAIL_1] wants to cancel." },
+      { role: "user", text: "Also new@example.com" },
+    ],
+  });
+  assert.equal(saved.title, "Cancel for [EMAIL_2]");
+  assert.equal(saved.messages[0].text, "Guest [EMAIL_1] wants to cancel.");
+  assert.equal(saved.messages[1].text, "Also [EMAIL_2]");
+});
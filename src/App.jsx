@@ -1,5 +1,8 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { marked } from "marked";
+import { clearConversations, deleteConversation, listConversations, saveConversation } from "./conversationStore";
+import { ERROR_CODES, errorInfo } from "../shared/errorCodes.js";
+import { FEEDBACK_REASONS, FEEDBACK_STATUSES } from "../shared/feedback.js";
 import "./App.css";
 
 const API_BASE = "https://compliance-made-on-my-rv.onrender.com";
@@ -19,9 +22,13 @@ const MATRIX_PUBLIC_PATH = "/Service Matrix's 2026.xlsx";
 const TRAINING_GUIDE_TXT_PATH = "/training_guide.txt";
 const TRAINING_GUIDE_CHUNKS_PATH = "/training_guide.chunks.jsonl";
 
+// the one chat route (JSON, or SSE with Accept: text/event-stream)
+const CHAT_ENDPOINT = "/api/v1/chat";
+
 // --- logging ----------------------------------------------------------------
 
-const DEBUG = true;
+// Dev builds only: production consoles stay quiet.
+const DEBUG = import.meta.env.DEV;
 
 function log(...args) {
   if (!DEBUG) return;
@@ -92,6 +99,20 @@ function isAbort(error) {
   return error?.name === "AbortError" || /aborted/i.test(String(error?.message || ""));
 }
 
+// Proxy errors carry a stable `code` (shared/errorCodes.js). Older servers, gateways and
+// failed fetches don't, so fall back to the HTTP status.
+function errorCodeOf(error) {
+  if (ERROR_CODES[error?.code]) return error.code;
+  if (isAbort(error)) return ERROR_CODES.CLIENT_TIMEOUT;
+  const status = Number(error?.status || 0);
+  if (!status) return ERROR_CODES.NETWORK;
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH;
+  if (status === 404) return ERROR_CODES.NOT_FOUND;
+  if (status === 413) return ERROR_CODES.PAYLOAD_TOO_LARGE;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  return ERROR_CODES.INTERNAL;
+}
+
 function asHumanError(error) {
   const msg = String(error?.message || error || "");
   if (!msg) return "Something went wrong.";
@@ -110,8 +131,11 @@ function stripDangerousHtml(html) {
 async function fetchWithTimeout(url, options = {}, timeoutMs = 45000) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  // caller-supplied signal (e.g. the Stop button) aborts too
+  options.signal?.addEventListener?.("abort", () => ctrl.abort(), { once: true });
   try {
-    log("fetchWithTimeout ->", { url, options, timeoutMs });
+    // method and URL only: options carry the Authorization header and, on login, the password
+    log("fetchWithTimeout ->", { method: options.method || "GET", url, timeoutMs });
     const res = await fetch(url, { ...options, signal: ctrl.signal });
     log("fetchWithTimeout <-", { url, status: res.status, ok: res.ok });
     return res;
@@ -120,67 +144,102 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 45000) {
   }
 }
 
-async function postToAnyEndpoint({ base, paths, payload, timeoutMs }) {
-  let lastErr = null;
-
-  for (const p of paths) {
-    const url = base.replace(/\/+$/, "") + p;
-
-    group(`POST attempt ${p}`, () => {
-      log("POST url:", url);
-      log("Payload keys:", Object.keys(payload || {}));
-      log("Payload preview:", {
-        question: payload?.question,
-        mode: payload?.mode,
-        docs: payload?.docs ? Object.keys(payload.docs) : null,
-      });
-    });
-
-    try {
-      const res = await fetchWithTimeout(
-        url,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        },
-        timeoutMs
-      );
-
-      const contentType = res.headers.get("content-type") || "";
-      const isJson = contentType.includes("application/json");
-      const body = isJson ? await res.json().catch(() => null) : await res.text().catch(() => "");
-
-      log("POST response:", { path: p, status: res.status, isJson, contentType });
+// Parses a text/event-stream body and calls onEvent(event, data) per message.
+async function readSseStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    let sep;
+    while ((sep = buf.indexOf("\n\n")) >= 0) {
+      const raw = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (!data.length) continue;
 
-      if (!res.ok) {
-        const detailText = normalizeWs(isJson ? safeString(body) : body) || res.statusText;
-        const error = new Error(`HTTP ${res.status} on ${p}: ${detailText}`);
-        error.status = res.status;
-        error.body = body;
-        error.path = p;
-        throw error;
+      let parsed = null;
+      try {
+        parsed = JSON.parse(data.join("\n"));
+      } catch {
+        parsed = data.join("\n");
       }
+      onEvent(event, parsed);
+    }
+  }
+}
 
-      return { ok: true, status: res.status, path: p, body };
-    } catch (e) {
-      lastErr = e;
-      warn("POST failed:", {
-        path: p,
-        status: e?.status,
-        message: String(e?.message || e),
-        isAbort: isAbort(e),
-      });
+// POST to the chat route as SSE; onDelta receives the answer so far as it arrives.
+// Errors carry .status/.body/.path/.code/.retryAfter, plus .streamed once text was shown.
+async function streamChat({ base, path, payload, signal, headers, onMeta, onDelta }) {
+  const url = base.replace(/\/+$/, "") + path;
+  log("streamChat ->", { url, question: payload?.question, mode: payload?.mode });
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...headers },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  const contentType = res.headers.get("content-type") || "";
+  log("streamChat <-", { status: res.status, contentType });
+
+  if (!res.ok || !contentType.includes("text/event-stream")) {
+    const isJson = contentType.includes("application/json");
+    const body = isJson ? await res.json().catch(() => null) : await res.text().catch(() => "");
+    const detailText = normalizeWs(isJson ? safeString(body) : body) || res.statusText;
+    const error = new Error(`HTTP ${res.status} on ${path}: ${detailText}`);
+    error.status = res.ok ? 502 : res.status;
+    error.body = body;
+    error.path = path;
+    error.code = body?.code;
+    error.retryAfter = body?.retryAfter ?? (Number(res.headers.get("retry-after")) || null);
+    throw error;
+  }
 
-      // stop immediately on auth issues
-      if (e?.status === 401 || e?.status === 403) throw e;
-      // stop immediately on aborts/timeouts
-      if (isAbort(e)) throw e;
-      // otherwise try next endpoint
+  let answer = "";
+  let meta = null;
+  let final = null;
+  let streamError = null;
+
+  await readSseStream(res, (event, data) => {
+    if (event === "meta") {
+      meta = data;
+      onMeta?.(data);
+    } else if (event === "delta") {
+      answer += data?.text || "";
+      onDelta?.(answer);
+    } else if (event === "done") {
+      final = data;
+    } else if (event === "error") {
+      streamError = data;
     }
+  });
+
+  if (streamError) {
+    const error = new Error(`HTTP ${streamError.status || 500} on ${path}: ${normalizeWs(safeString(streamError))}`);
+    error.status = streamError.status || 500;
+    error.body = streamError;
+    error.path = path;
+    error.code = streamError.code;
+    error.retryAfter = streamError.retryAfter ?? null;
+    error.streamed = !!answer;
+    error.partial = answer;
+    throw error;
   }
 
-  throw lastErr || new Error("No endpoint responded.");
+  return { ok: true, status: res.status, path, body: { ...meta, ...final, answer: final?.answer ?? answer } };
 }
 
 function pickAnswerFromBody(body) {
@@ -221,7 +280,7 @@ function tryLoadLocal(key, fallback) {
 function trySaveLocal(key, value) {
   try {
     localStorage.setItem(key, JSON.stringify(value));
-    log("trySaveLocal:", key, value);
+    log("trySaveLocal:", key);
   } catch (e) {
     warn("trySaveLocal failed:", key, e);
   }
@@ -318,9 +377,881 @@ const RESOURCES = [
   { label: "QA Voice (.xlsx)", href: QA_VOICE_XLSX_PATH, fileName: "qa-voice.xlsx" },
 ];
 
-function buildPayload({ question, mode, docs }) {
+// Prior turns sent with each question (oldest first). Loading/error bubbles and the intro are not conversation.
+function buildHistory(messages, introId, maxTurns = 20) {
+  return messages
+    .filter((m) => m.id !== introId && !m.kind && normalizeWs(m.text))
+    .slice(-maxTurns)
+    .map((m) => ({ role: m.role, content: normalizeWs(m.text).slice(0, 20000) }));
+}
+
+function makeIntroMessage() {
+  return {
+    id: genId(),
+    role: "assistant",
+    text:
+      "Hi! Ask me what to do in a guest situation and I’ll respond using the selected procedures/policies.\n\nTip: select the docs in the footer first.",
+    ts: Date.now(),
+  };
+}
+
+// --- conversation history ------------------------------------------------------
+
+function conversationTitle(messages) {
+  const first = messages.find((m) => m.role === "user");
+  const line = normalizeWs(first?.text).split("\n")[0] || "Untitled";
+  return line.length > 60 ? line.slice(0, 60) + "…" : line;
+}
+
+// Only finished bubbles are worth keeping; loading/streaming ones are transient.
+function toStoredMessages(messages, introId) {
+  return messages
+    .filter((m) => m.id !== introId && m.kind !== "loading" && m.kind !== "streaming")
+    .map(({ id, role, kind, code, text, citations, ts, meta, feedback, flow, path, choices }) => ({
+      id,
+      role,
+      kind,
+      code,
+      text,
+      citations,
+      ts,
+      meta,
+      feedback,
+      flow,
+      path,
+      choices,
+    }));
+}
+
+function conversationMatches(c, query) {
+  const q = normalizeWs(query).toLowerCase();
+  if (!q) return true;
+  if (String(c.title || "").toLowerCase().includes(q)) return true;
+  return (c.messages || []).some((m) => String(m.text || "").toLowerCase().includes(q));
+}
+
+function HistorySidebar({ open, onClose, conversations, activeId, disabled, onOpen, onDelete, onNew }) {
+  const [query, setQuery] = useState("");
+  const visible = useMemo(() => conversations.filter((c) => conversationMatches(c, query)), [conversations, query]);
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <aside className="cc-sidebar" aria-label="Conversation history">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">History</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="cc-sidebarTools">
+          <input
+            className="cc-sidebarSearch"
+            type="search"
+            value={query}
+            placeholder="Search conversations…"
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button className="cc-pillBtn" type="button" onClick={onNew} disabled={disabled}>
+            + New chat
+          </button>
+        </div>
+
+        <div className="cc-sidebarList">
+          {visible.length === 0 ? (
+            <div className="cc-popoverHint" style={{ padding: "0 14px" }}>
+              {conversations.length ? "No conversation matches your search." : "No saved conversations yet."}
+            </div>
+          ) : (
+            visible.map((c) => (
+              <div key={c.id} className={`cc-historyItem ${c.id === activeId ? "is-active" : ""}`}>
+                <button
+                  className="cc-historyOpen"
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => onOpen(c)}
+                  title={c.title}
+                >
+                  <div className="cc-resourceName">{c.title || "Untitled"}</div>
+                  <div className="cc-resourceSub">
+                    {new Date(c.updatedAt || c.createdAt).toLocaleString()} • {c.messages?.length || 0} messages
+                  </div>
+                </button>
+                <button
+                  className="cc-pillBtn cc-pillBtnGhost"
+                  type="button"
+                  aria-label={`Delete ${c.title}`}
+                  title="Delete"
+                  disabled={disabled}
+                  onClick={() => onDelete(c)}
+                >
+                  🗑
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </aside>
+    </>
+  );
+}
+
+// --- agent login ---
+function authHeaders(session) {
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+function loadSession() {
+  const session = tryLoadLocal("cc_session", null);
+  return session?.token && session.expiresAt > Date.now() ? session : null;
+}
+
+function LoginDialog({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetchWithTimeout(
+        `${API_BASE.replace(/\/+$/, "")}/api/auth/login`,
+        { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ username, password }) },
+        15000
+      );
+      const body = await res.json().catch(() => null);
+      if (!res.ok || !body?.token) throw new Error(body?.error || `Login failed (HTTP ${res.status}).`);
+      log("Signed in:", body.agent);
+      onLogin({ token: body.token, expiresAt: body.expiresAt, agent: body.agent });
+    } catch (err) {
+      warn("Login failed:", err);
+      setError(isAbort(err) ? "Server took too long. Try again." : asHumanError(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="cc-popoverScrim" />
+      <div className="cc-popover cc-login" role="dialog" aria-modal="true">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">🔑 Agent sign in</div>
+        </div>
+        <form className="cc-popoverBody cc-loginForm" onSubmit={submit}>
+          <div className="cc-popoverHint">Sign in with the account your supervisor created for you.</div>
+          <input
+            className="cc-sidebarSearch"
+            autoComplete="username"
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoFocus
+          />
+          <input
+            className="cc-sidebarSearch"
+            type="password"
+            autoComplete="current-password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          {error ? <div className="cc-error">{error}</div> : null}
+          <button className="cc-pillBtn" type="submit" disabled={busy || !username || !password}>
+            {busy ? "Signing in…" : "Sign in"}
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
+
+// Trainer view of flagged answers (supervisor/admin). Lists thumbs-down by review status.
+async function fetchFeedbackQueue(base, status, session) {
+  const res = await fetchWithTimeout(
+    `${base}/api/admin/feedback?rating=down&status=${status}`,
+    { headers: authHeaders(session) },
+    15000
+  );
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(body?.error || `HTTP ${res.status}`);
+  return body.items || [];
+}
+
+function FeedbackReviewPanel({ open, onClose, session }) {
+  const [status, setStatus] = useState("open");
+  const [reloads, setReloads] = useState(0);
+  const [result, setResult] = useState({ key: null, items: [], error: "" });
+
+  const base = API_BASE.replace(/\/+$/, "");
+  const key = `${status}:${reloads}`;
+  const loading = result.key !== key;
+  const { items, error } = result;
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    fetchFeedbackQueue(base, status, session).then(
+      (list) => !cancelled && setResult({ key, items: list, error: "" }),
+      (e) => {
+        warn("Feedback queue failed:", e);
+        if (!cancelled) setResult({ key, items: [], error: asHumanError(e) });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, base, status, session, key]);
+
+  const review = async (item, next) => {
+    try {
+      const res = await fetchWithTimeout(
+        `${base}/api/admin/feedback/${encodeURIComponent(item.requestId)}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json", ...authHeaders(session) },
+          body: JSON.stringify({ status: next }),
+        },
+        15000
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      log("Feedback reviewed:", item.requestId, next);
+    } catch (e) {
+      warn("Feedback review failed:", e);
+    }
+    setReloads((n) => n + 1);
+  };
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <aside className="cc-sidebar cc-reviewPanel" aria-label="Flagged answers">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">Flagged answers</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="cc-sidebarTools">
+          {FEEDBACK_STATUSES.map((st) => (
+            <button
+              key={st}
+              type="button"
+              className={`cc-chip ${status === st ? "is-active" : ""}`}
+              onClick={() => setStatus(st)}
+            >
+              {st}
+            </button>
+          ))}
+        </div>
+
+        <div className="cc-sidebarList">
+          {error ? <div className="cc-error" style={{ margin: "0 14px" }}>{error}</div> : null}
+          {!error && !loading && items.length === 0 ? (
+            <div className="cc-popoverHint" style={{ padding: "0 14px" }}>
+              Nothing {status} here.
+            </div>
+          ) : null}
+          {items.map((item) => (
+            <div key={item.requestId} className="cc-reviewItem">
+              <div className="cc-resourceName">{item.question || "(question not captured)"}</div>
+              <div className="cc-resourceSub">
+                {item.agent || "anonymous"} • {new Date(item.updatedAt).toLocaleString()}
+                {item.reason ? ` • ${reasonLabel(item.reason)}` : ""}
+              </div>
+              {item.comment ? <div className="cc-reviewComment">“{item.comment}”</div> : null}
+              <details className="cc-reviewAnswer">
+                <summary>Answer{item.citations?.length ? ` • ${item.citations.length} sources` : ""}</summary>
+                <div className="cc-bubbleText">{normalizeWs(item.answer)}</div>
+                {item.citations?.length ? (
+                  <div className="cc-resourceSub">{item.citations.map((c) => `[${c.index}] ${c.source}`).join(" · ")}</div>
+                ) : null}
+              </details>
+              <div className="cc-reviewActions">
+                {FEEDBACK_STATUSES.filter((st) => st !== item.status).map((st) => (
+                  <button key={st} className="cc-pillBtn" type="button" onClick={() => review(item, st)}>
+                    Mark {st}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </aside>
+    </>
+  );
+}
+
+// --- QA scorecard ---
+const QA_OUTCOME_LABELS = { yes: "✅ Yes", no: "❌ No", na: "➖ N/A" };
+
+// What the agent pastes for each form; the proxy grades against the matching workbook.
+const QA_REVIEW_FORMS = [
+  {
+    key: "qaVoice",
+    label: "QA Voice • call",
+    title: "QA Voice scorecard",
+    subject: "transcript",
+    hint: "Paste the call transcript. Each QA Voice criterion is graded Yes / No / N/A with a quote from the call.",
+    placeholder: "Agent: Thank you for calling Hotel Reservations, my name is…\nGuest: …",
+    action: "Grade call",
+  },
+  {
+    key: "qaGroup",
+    label: "QA Groups • ticket",
+    title: "QA Groups ticket review",
+    subject: "ticket",
+    hint:
+      "Paste the group booking ticket notes. Each QA Groups criterion is graded with coaching from the Groups & Extended Stays training.",
+    placeholder: "Group name: …\nCheck-in / check-out: …\nRooms per night: …\nBudget: …\nNotes: …",
+    action: "Review ticket",
+  },
+];
+
+function QaScorecardTable({ result, subject }) {
+  const { form, items, score, summary, citations } = result;
+  return (
+    <div className="cc-qaResult">
+      <div className={`cc-qaScore ${score.passed === false ? "is-fail" : score.passed ? "is-pass" : ""}`}>
+        <b>{score.pct}%</b> ({score.earned}/{score.possible} pts)
+        {score.passingPct != null ? ` • ${score.passed ? "Pass" : "Below"} the ${score.passingPct}% bar` : ""}
+        {score.needsReview ? ` • ${score.needsReview} item(s) need a human decision` : ""}
+      </div>
+      {summary ? <div className="cc-qaSummary">{summary}</div> : null}
+
+      <table className="cc-qaTable">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Criterion</th>
+            <th>Result</th>
+            <th>Points</th>
+            <th>Evidence / note</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((i) => (
+            <tr key={i.number} className={i.needsReview ? "is-review" : ""}>
+              <td>{i.number}</td>
+              <td title={i.guideline || undefined}>{i.title}</td>
+              <td className="cc-qaOutcome">{QA_OUTCOME_LABELS[i.outcome] || "⚠️ Review"}</td>
+              <td>
+                {i.outcome === "na" ? "—" : `${i.awarded}/${i.points}`}
+              </td>
+              <td>
+                {i.evidence ? (
+                  <div className="cc-qaEvidence">
+                    “{i.evidence}”
+                    {!i.evidenceVerified ? <span className="cc-qaUnverified"> (quote not found in {subject})</span> : null}
+                  </div>
+                ) : null}
+                {i.note ? <div className="cc-qaNote">{i.note}</div> : null}
+                {i.coaching ? <div className="cc-qaCoaching">💡 {i.coaching}</div> : null}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="cc-popoverHint" style={{ marginTop: 8 }}>
+        Criteria and points from {form.file}. N/A items are left out of the possible total.
+      </div>
+      {citations?.length ? <CitationList messageId={`qa-${result.requestId}`} citations={citations} /> : null}
+    </div>
+  );
+}
+
+function QaScorecardPanel({ open, onClose, session }) {
+  const [formKey, setFormKey] = useState(QA_REVIEW_FORMS[0].key);
+  const [transcript, setTranscript] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const review = QA_REVIEW_FORMS.find((f) => f.key === formKey);
+
+  const grade = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetchWithTimeout(
+        `${API_BASE.replace(/\/+$/, "")}/api/v1/qa/grade`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...authHeaders(session) },
+          body: JSON.stringify({ form: formKey, transcript }),
+        },
+        90000
+      );
+      const body = await res.json().catch(() => null);
+      if (!res.ok || !body?.ok) {
+        const code = body?.code || errorCodeOf({ status: res.status });
+        throw new Error(`${errorInfo(code).message}${body?.error ? `\n${body.error}` : ""}`);
+      }
+      log("QA graded:", { requestId: body.requestId, form: formKey, score: body.score });
+      setResult(body);
+    } catch (e) {
+      warn("QA grading failed:", e);
+      setError(isAbort(e) ? errorInfo(ERROR_CODES.CLIENT_TIMEOUT).message : asHumanError(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <div className="cc-popover cc-qaPanel" role="dialog" aria-modal="true">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">📋 {review.title}</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="cc-popoverBody">
+          <div className="cc-sidebarTools">
+            {QA_REVIEW_FORMS.map((f) => (
+              <button
+                key={f.key}
+                type="button"
+                className={`cc-chip ${formKey === f.key ? "is-active" : ""}`}
+                onClick={() => {
+                  setFormKey(f.key);
+                  setResult(null);
+                  setError("");
+                }}
+                disabled={busy}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <div className="cc-popoverHint">{review.hint}</div>
+          <textarea
+            className="cc-qaTranscript"
+            value={transcript}
+            placeholder={review.placeholder}
+            onChange={(e) => setTranscript(e.target.value)}
+            maxLength={60000}
+            disabled={busy}
+          />
+          <div className="cc-qaActions">
+            <span className="cc-popoverHint">{transcript.length.toLocaleString()} / 60,000 characters</span>
+            <button className="cc-pillBtn" type="button" onClick={grade} disabled={busy || transcript.trim().length < 20}>
+              {busy ? "Grading…" : review.action}
+            </button>
+          </div>
+          {error ? <pre className="cc-error">{error}</pre> : null}
+          {result ? <QaScorecardTable result={result} subject={review.subject} /> : null}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// --- escalation lookup ---
+const ESCALATION_CHANNELS = [
+  { key: "voice", label: "📞 Voice" },
+  { key: "ticket", label: "✉️ Ticket" },
+];
+
+const ESCALATION_SEVERITIES = [
+  { key: "low", label: "Low" },
+  { key: "medium", label: "Medium" },
+  { key: "high", label: "High" },
+  { key: "urgent", label: "Urgent" },
+];
+
+const MATCH_CONFIDENCE_LABELS = { high: "High confidence", medium: "Medium confidence", low: "Low confidence — check the row" };
+
+async function fetchEscalation(base, path, init) {
+  const res = await fetchWithTimeout(`${base}/api/v1/escalation${path}`, init, init?.method === "POST" ? 45000 : 15000);
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.ok) {
+    const code = body?.code || errorCodeOf({ status: res.status });
+    throw new Error(`${errorInfo(code).message}${body?.error ? `\n${body.error}` : ""}`);
+  }
+  return body;
+}
+
+// The matrix row exactly as the workbook has it; nothing here is reworded.
+function EscalationRouteCard({ route }) {
+  return (
+    <div className="cc-escRoute">
+      <div className="cc-escScenario">{route.scenario}</div>
+      <div className="cc-popoverHint">
+        {route.channel === "voice" ? "Voice" : "Ticket"} matrix • {route.category}
+      </div>
+      <div className="cc-escPaths">
+        {route.paths.map((p) => (
+          <div key={p.key} className={`cc-escPath ${p.used ? "is-used" : ""}`}>
+            <b>{p.label}</b>
+            <span>{p.value || "—"}</span>
+          </div>
+        ))}
+      </div>
+      {route.instructions ? <div className="cc-escInstructions">{route.instructions}</div> : null}
+      <div className="cc-popoverHint">
+        {route.source.file} • {route.source.sheet}, row {route.source.row}
+      </div>
+    </div>
+  );
+}
+
+function EscalationPanel({ open, onClose, session, mode }) {
+  const [channel, setChannel] = useState("voice");
+  const [category, setCategory] = useState("");
+  const [options, setOptions] = useState({ loaded: false, channels: {}, error: "" });
+  const [situation, setSituation] = useState("");
+  const [severity, setSeverity] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [route, setRoute] = useState(null);
+  const [match, setMatch] = useState(null);
+  const [error, setError] = useState("");
+
+  const base = API_BASE.replace(/\/+$/, "");
+  const categories = options.channels[channel] || [];
+  const scenarios = categories.find((c) => c.category === category)?.scenarios || [];
+
+  useEffect(() => {
+    if (!open || options.loaded) return;
+    let cancelled = false;
+    fetchEscalation(base, "").then(
+      (body) => !cancelled && setOptions({ loaded: true, channels: body.channels, error: "" }),
+      (e) => {
+        warn("Escalation options failed:", e);
+        if (!cancelled) setOptions({ loaded: true, channels: {}, error: asHumanError(e) });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, base, options.loaded]);
+
+  const showRow = async (id) => {
+    setError("");
+    setMatch(null);
+    if (!id) return setRoute(null);
+    try {
+      const body = await fetchEscalation(base, `/${encodeURIComponent(id)}`, { headers: authHeaders(session) });
+      setRoute(body.route);
+      setCategory(body.route.category);
+    } catch (e) {
+      warn("Escalation row failed:", e);
+      setError(asHumanError(e));
+    }
+  };
+
+  const findRow = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const body = await fetchEscalation(base, "/match", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders(session) },
+        body: JSON.stringify({
+          channel,
+          ...(category ? { category } : {}),
+          situation,
+          ...(severity ? { severity } : {}),
+          mode,
+        }),
+      });
+      log("Escalation matched:", { requestId: body.requestId, match: body.match });
+      setMatch(body);
+      setRoute(body.route);
+      if (body.route) setCategory(body.route.category);
+    } catch (e) {
+      warn("Escalation match failed:", e);
+      setError(isAbort(e) ? errorInfo(ERROR_CODES.CLIENT_TIMEOUT).message : asHumanError(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <div className="cc-popover cc-escPanel" role="dialog" aria-modal="true">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">🚦 Escalation lookup</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="cc-popoverBody">
+          <div className="cc-sidebarTools">
+            {ESCALATION_CHANNELS.map((c) => (
+              <button
+                key={c.key}
+                type="button"
+                className={`cc-chip ${channel === c.key ? "is-active" : ""}`}
+                onClick={() => {
+                  setChannel(c.key);
+                  setCategory("");
+                  setRoute(null);
+                  setMatch(null);
+                }}
+              >
+                {c.label}
+              </button>
+            ))}
+          </div>
+          {options.error ? <pre className="cc-error">{options.error}</pre> : null}
+
+          <div className="cc-escPickers">
+            <select
+              className="cc-sidebarSearch"
+              value={category}
+              onChange={(e) => {
+                setCategory(e.target.value);
+                setRoute(null);
+                setMatch(null);
+              }}
+            >
+              <option value="">All issue types</option>
+              {categories.map((c) => (
+                <option key={c.category} value={c.category}>
+                  {c.category}
+                </option>
+              ))}
+            </select>
+            <select
+              className="cc-sidebarSearch"
+              value={route?.id || ""}
+              onChange={(e) => showRow(e.target.value)}
+              disabled={!category}
+            >
+              <option value="">{category ? "Pick the scenario…" : "Pick an issue type first"}</option>
+              {scenarios.map((sc) => (
+                <option key={sc.id} value={sc.id}>
+                  {sc.scenario}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="cc-popoverHint">Or describe the situation and let the assistant find the matrix row:</div>
+          <div className="cc-escPickers">
+            <input
+              className="cc-sidebarSearch"
+              value={situation}
+              placeholder="e.g. Guest is at the front desk and the hotel has no reservation"
+              onChange={(e) => setSituation(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && situation.trim().length >= 5 && !busy && findRow()}
+              maxLength={4000}
+              disabled={busy}
+            />
+            <select
+              className="cc-sidebarSearch"
+              value={severity}
+              onChange={(e) => setSeverity(e.target.value)}
+              disabled={busy}
+              aria-label="Severity"
+            >
+              <option value="">Severity…</option>
+              {ESCALATION_SEVERITIES.map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <button className="cc-pillBtn" type="button" onClick={findRow} disabled={busy || situation.trim().length < 5}>
+              {busy ? "Matching…" : "Find row"}
+            </button>
+          </div>
+
+          {error ? <pre className="cc-error">{error}</pre> : null}
+          {match ? (
+            <div className="cc-popoverHint">
+              {match.route
+                ? `Matched: ${MATCH_CONFIDENCE_LABELS[match.match.confidence] || ""}${match.match.reason ? ` — ${match.match.reason}` : ""}`
+                : "No matrix row fits this situation. Pick one below or ask a supervisor."}
+            </div>
+          ) : null}
+          {route ? <EscalationRouteCard route={route} /> : null}
+          {match?.alternatives?.length ? (
+            <div className="cc-sidebarTools">
+              {match.alternatives.map((a) => (
+                <button key={a.id} type="button" className="cc-chip" title={a.category} onClick={() => showRow(a.id)}>
+                  {a.scenario}
+                </button>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// --- note writer ---
+const NOTE_TOOLS = [
+  { key: "write", label: "✍️ Write my note" },
+  { key: "expand", label: "🔎 Expand a note" },
+];
+
+async function postNotes(base, path, payload, session, timeoutMs) {
+  const res = await fetchWithTimeout(
+    `${base}/api/v1/notes/${path}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(session) },
+      body: JSON.stringify(payload),
+    },
+    timeoutMs
+  );
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.ok) {
+    const code = body?.code || errorCodeOf({ status: res.status });
+    throw new Error(`${errorInfo(code).message}${body?.error ? `\n${body.error}` : ""}`);
+  }
+  return body;
+}
+
+function NoteWriterPanel({ open, onClose, session, mode }) {
+  const [tool, setTool] = useState("write");
+  const [input, setInput] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const base = API_BASE.replace(/\/+$/, "");
+  const minLength = tool === "write" ? 10 : 1;
+
+  const run = async () => {
+    setBusy(true);
+    setError("");
+    setCopied(false);
+    try {
+      const body =
+        tool === "write"
+          ? await postNotes(base, "write", { description: input, mode }, session, 45000)
+          : await postNotes(base, "expand", { note: input }, session, 15000);
+      log("Note tool:", { tool, requestId: body.requestId, unknown: body.unknown });
+      setResult({ tool, ...body });
+    } catch (e) {
+      warn("Note tool failed:", e);
+      setError(isAbort(e) ? errorInfo(ERROR_CODES.CLIENT_TIMEOUT).message : asHumanError(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch (e) {
+      warn("Copy failed:", e);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <div className="cc-popover cc-notePanel" role="dialog" aria-modal="true">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">📝 Reservation notes</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="cc-popoverBody">
+          <div className="cc-sidebarTools">
+            {NOTE_TOOLS.map((t) => (
+              <button
+                key={t.key}
+                type="button"
+                className={`cc-chip ${tool === t.key ? "is-active" : ""}`}
+                onClick={() => {
+                  setTool(t.key);
+                  setResult(null);
+                  setError("");
+                }}
+                disabled={busy}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <div className="cc-popoverHint">
+            {tool === "write"
+              ? "Describe what happened: who called, what they needed, what you did and how it ended. The note uses the approved format and abbreviations."
+              : "Paste a note to read it in plain English. Shorthand that is not on the abbreviation deck is flagged."}
+          </div>
+          <textarea
+            className="cc-qaTranscript cc-noteInput"
+            value={input}
+            placeholder={
+              tool === "write"
+                ? "Guest Ana Lopez called to cancel. I called the hotel, Maria at the front desk approved it free of charge, cancellation number 5512…"
+                : "SW GST OTP. LVM for HTL GM. CXL# 5512…"
+            }
+            onChange={(e) => setInput(e.target.value)}
+            maxLength={6000}
+            disabled={busy}
+          />
+          <div className="cc-qaActions">
+            <span className="cc-popoverHint">
+              {tool === "write" && mode === "local" ? "Local Mode: only swaps in the approved abbreviations." : ""}
+            </span>
+            <button className="cc-pillBtn" type="button" onClick={run} disabled={busy || input.trim().length < minLength}>
+              {busy ? "Working…" : tool === "write" ? "Write note" : "Expand"}
+            </button>
+          </div>
+
+          {error ? <pre className="cc-error">{error}</pre> : null}
+          {result ? (
+            <div className="cc-noteResult">
+              {result.tool === "write" && result.reason ? (
+                <div className="cc-popoverHint">
+                  Dropdown reason: <b>{result.reason}</b>
+                </div>
+              ) : null}
+              <div className="cc-noteText">{result.tool === "write" ? result.note : result.text}</div>
+              {result.tool === "write" ? (
+                <button className="cc-pillBtn cc-pillBtnGhost" type="button" onClick={() => copy(result.note)}>
+                  {copied ? "Copied" : "Copy note"}
+                </button>
+              ) : null}
+              {result.missing?.length ? (
+                <div className="cc-noteWarn">Add before saving: {result.missing.join(", ")}</div>
+              ) : null}
+              {result.unknown?.length ? (
+                <div className="cc-noteWarn">Not on the abbreviation deck: {result.unknown.join(", ")}</div>
+              ) : null}
+              {result.used?.length ? (
+                <div className="cc-popoverHint">
+                  {result.used.map((a) => `${a.abbr} = ${a.concept.toLowerCase()}`).join(" • ")}
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </>
+  );
+}
+
+function buildPayload({ question, history, mode, docs }) {
   return {
     question,
+    history,
     mode,
     docs,
     client: { app: "Call Center Compliance App", ts: nowIso(), ui: "react" },
@@ -335,15 +1266,12 @@ function build404Message({ apiBase, attemptedPath }) {
 🔎 Server cannot find the requested webpage or resource (HTTP 404).
 
 What this usually means:
-- The frontend is POSTing to an endpoint that does not exist on your server.
-- Example: your UI tried: ${attemptedPath || "(unknown path)"} but your backend route name is different.
+- The server at API_BASE is running a build from before ${CHAT_ENDPOINT} existed,
+  or API_BASE points at a different service.
 
 How to fix (pick 1):
-1) ✅ Update the frontend to call the correct endpoint that exists on the server.
-   - Open your server code and confirm the route, e.g. app.post("/api/claude", ...)
-   - Then set the endpoints list to include that exact route FIRST.
-2) ✅ Add the missing route on the backend to match what the frontend is calling.
-3) ✅ If you changed API_BASE, confirm it's pointing to the correct deployed service.
+1) ✅ Redeploy the proxy (server/proxy.js) so it serves POST ${CHAT_ENDPOINT}.
+2) ✅ If you changed API_BASE, confirm it's pointing to the correct deployed service.
 
 Helpful checks:
 - Try opening (in browser): ${base}/health
@@ -351,24 +1279,6 @@ Helpful checks:
 `);
 }
 
-function isNoCreditsError(e) {
-  const status = Number(e?.status || 0);
-  const rawBody = safeString(e?.body);
-  const msg = String(e?.message || "");
-  const hay = (msg + "\n" + rawBody).toLowerCase();
-
-  // Anthropic "no credits" / billing signals
-  const hit =
-    hay.includes("credit balance is too low") ||
-    hay.includes("plans & billing") ||
-    hay.includes("insufficient") && hay.includes("credit") ||
-    hay.includes("billing") && hay.includes("upgrade") ||
-    hay.includes("purchase credits");
-
-  // most common is HTTP 400 from Anthropic
-  return hit && (status === 400 || status === 402 || status === 403);
-}
-
 function buildNoCreditsMessage() {
   return normalizeWs(`
 💳 No credits available for Claude (Anthropic).
@@ -382,20 +1292,359 @@ Fix:
 3) Restart the server (and redeploy on Render if needed)
 
 After you add credits, Cloud Mode will work normally.
+Until then, switch to Local Mode in the footer — it answers from the selected documents without Claude.
 `);
 }
 
-function MessageBubble({ m, isIntro }) {
+function buildErrorText(code, e) {
+  if (code === ERROR_CODES.NO_CREDITS) return buildNoCreditsMessage();
+  if (code === ERROR_CODES.NOT_FOUND) return build404Message({ apiBase: API_BASE, attemptedPath: e?.path || "" });
+  const wait = e?.retryAfter ? ` Retry in about ${formatWait(e.retryAfter)}.` : "";
+  const details = typeof e?.body?.error === "string" ? e.body.error : e?.message || asHumanError(e);
+  return `${errorInfo(code).message}${wait}\n\nDetails:\n${normalizeWs(details)}`;
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds}s`;
+  if (seconds < 5400) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+}
+
+function pickCitationsFromBody(body) {
+  const list = body?.citations ?? body?.data?.citations;
+  return Array.isArray(list) ? list.filter((c) => c && c.index != null && c.source) : [];
+}
+
+function citationAnchorId(messageId, index) {
+  return `cc-cite-${messageId}-${index}`;
+}
+
+// Turn the model's [n] markers into superscript links to the footnotes below the bubble.
+function linkCitationMarkers(html, messageId, citations) {
+  if (!citations?.length) return html;
+  const known = new Set(citations.map((c) => String(c.index)));
+  return html.replace(/\[(\d{1,2})\]/g, (whole, n) =>
+    known.has(n) ? `<sup class="cc-citeRef"><a href="#${citationAnchorId(messageId, n)}">${n}</a></sup>` : whole
+  );
+}
+
+function formatCitationLocation(c) {
+  if (c.sheet) return c.row ? `${c.sheet}, row ${c.row}` : c.sheet;
+  const slides = c.slides;
+  if (!slides?.length) return "";
+  return slides.length === 1 ? `Slide ${slides[0]}` : `Slides ${slides.join(", ")}`;
+}
+
+// onOpenSource({ source, slide }) adds a link to the exact slide in the Guide panel.
+function CitationList({ messageId, citations, onOpenSource }) {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  return (
+    <div className="cc-citations">
+      <div className="cc-citationsTitle">Sources</div>
+      <ol className="cc-citationList">
+        {citations.map((c) => {
+          const open = openIndex === c.index;
+          const location = formatCitationLocation(c);
+          return (
+            <li key={c.id || c.index} id={citationAnchorId(messageId, c.index)} className="cc-citation">
+              <button
+                className={`cc-citationBtn ${open ? "is-open" : ""}`}
+                type="button"
+                title={c.id}
+                onClick={() => {
+                  log("Citation clicked:", c);
+                  setOpenIndex(open ? null : c.index);
+                }}
+              >
+                <span className="cc-citationNum">{c.index}</span>
+                <span className="cc-citationSource">{c.source}</span>
+                {location ? <span className="cc-citationSlides">{location}</span> : null}
+              </button>
+              {open && c.snippet ? (
+                <div className="cc-citationSnippet">
+                  {c.snippet}
+                  {onOpenSource && !c.sheet ? (
+                    <button
+                      className="cc-citationOpen"
+                      type="button"
+                      onClick={() => onOpenSource({ source: c.source, slide: c.slides?.[0] ?? null })}
+                    >
+                      📖 Read in the guide
+                    </button>
+                  ) : null}
+                </div>
+              ) : null}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+// --- guided flows ---
+const flowWords = (s) => ` ${normalizeWs(s).toLowerCase().replace(/[^a-z0-9#]+/g, " ")} `;
+
+// Flows whose keywords appear in what the agent is typing.
+function suggestFlows(flows, text) {
+  const words = flowWords(text);
+  if (!words.trim()) return new Set();
+  return new Set(flows.filter((f) => f.keywords.some((k) => words.includes(flowWords(k)))).map((f) => f.id));
+}
+
+// A flow lives in the thread as one message; `path` is the step ids visited, `choices` the
+// option picked at each one. The definition is stored with it so old chats replay as they ran.
+function WorkflowCard({ m, onStep, onOpenSource }) {
+  const { flow, path, choices } = m;
+  const stepId = path[path.length - 1];
+  const step = flow.steps[stepId];
+  const final = !step.options?.length;
+  const citations = step.sources.map((src, i) => ({
+    index: i + 1,
+    id: src.chunkId || src.file,
+    source: src.file,
+    slides: src.slides,
+    snippet: src.snippet,
+  }));
+
+  return (
+    <div className="cc-flow">
+      <div className="cc-flowTitle">🧭 {flow.title}</div>
+      {path.slice(0, -1).map((id, i) => (
+        <div key={`${id}-${i}`} className="cc-flowDone">
+          ✓ {flow.steps[id].title} — <b>{choices[i]}</b>
+        </div>
+      ))}
+
+      <div className={`cc-flowStep ${final ? "is-final" : ""}`}>
+        <div className="cc-flowStepTitle">
+          {final ? "✅ " : `Step ${path.length}: `}
+          {step.title}
+        </div>
+        {step.say?.length ? (
+          <div className="cc-flowSay">
+            {step.say.map((line, i) => (
+              <div key={i}>🗣️ “{line}”</div>
+            ))}
+          </div>
+        ) : null}
+        {step.do?.length ? (
+          <ul className="cc-flowDo">
+            {step.do.map((line, i) => (
+              <li key={i}>{line}</li>
+            ))}
+          </ul>
+        ) : null}
+        {!final ? (
+          <div className="cc-flowOptions">
+            {step.options.map((o) => (
+              <button key={o.next + o.label} type="button" className="cc-pillBtn" onClick={() => onStep(m, { option: o })}>
+                {o.label}
+              </button>
+            ))}
+          </div>
+        ) : null}
+        <CitationList messageId={`${m.id}-${stepId}`} citations={citations} onOpenSource={onOpenSource} />
+      </div>
+
+      {path.length > 1 ? (
+        <div className="cc-flowNav">
+          <button type="button" className="cc-chip" onClick={() => onStep(m, { back: true })}>
+            ← Back
+          </button>
+          <button type="button" className="cc-chip" onClick={() => onStep(m, { restart: true })}>
+            ↺ Start over
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// --- answer feedback ---
+const reasonLabel = (key) => FEEDBACK_REASONS.find((r) => r.key === key)?.label || key;
+
+// Thumbs under an answer. Down asks for a reason so trainers can triage without guessing.
+function FeedbackBar({ m, onFeedback }) {
+  const [picking, setPicking] = useState(false);
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+  const rating = m.feedback?.rating;
+
+  const submitDown = () => {
+    onFeedback(m, { rating: "down", reason: reason || undefined, comment: normalizeWs(comment) || undefined });
+    setPicking(false);
+  };
+
+  return (
+    <div className="cc-feedback">
+      <button
+        className={`cc-feedbackBtn ${rating === "up" ? "is-active" : ""}`}
+        type="button"
+        title="Helpful"
+        aria-label="Helpful answer"
+        onClick={() => {
+          setPicking(false);
+          onFeedback(m, { rating: "up" });
+        }}
+      >
+        👍
+      </button>
+      <button
+        className={`cc-feedbackBtn ${rating === "down" || picking ? "is-active" : ""}`}
+        type="button"
+        title="Wrong or incomplete"
+        aria-label="Flag this answer"
+        onClick={() => setPicking((p) => !p)}
+      >
+        👎
+      </button>
+      {m.feedback && !picking ? (
+        <span className="cc-feedbackNote">
+          {m.feedback.failed
+            ? "Could not send feedback."
+            : m.feedback.rating === "down"
+            ? `Flagged${m.feedback.reason ? ` (${reasonLabel(m.feedback.reason)})` : ""} for the training team.`
+            : "Thanks!"}
+        </span>
+      ) : null}
+
+      {picking ? (
+        <div className="cc-feedbackForm">
+          <div className="cc-feedbackReasons">
+            {FEEDBACK_REASONS.map((r) => (
+              <button
+                key={r.key}
+                type="button"
+                className={`cc-chip ${reason === r.key ? "is-active" : ""}`}
+                onClick={() => setReason(reason === r.key ? "" : r.key)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <input
+            className="cc-sidebarSearch"
+            value={comment}
+            maxLength={2000}
+            placeholder="What should it have said? (optional)"
+            onChange={(e) => setComment(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && submitDown()}
+          />
+          <button className="cc-pillBtn" type="button" onClick={submitDown}>
+            Send
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Error bubbles saved before error codes existed
+const LEGACY_ERROR_KINDS = {
+  error401: ERROR_CODES.AUTH,
+  error404: ERROR_CODES.NOT_FOUND,
+  errorNoCredits: ERROR_CODES.NO_CREDITS,
+};
+
+function ErrorVideoHint({ title, sub, text }) {
+  return (
+    <div className="cc-loadingWrap">
+      <video className="cc-errorVideo" autoPlay loop muted playsInline src={ERROR_VIDEO_SRC} />
+      <div className="cc-errorHint">
+        <div className="cc-error" style={{ textAlign: "center" }}>
+          {title}
+        </div>
+        <div className="cc-bannerSub" style={{ textAlign: "center" }}>
+          {sub}
+        </div>
+        {text ? (
+          <pre className="cc-error" style={{ marginTop: 10 }}>
+            {normalizeWs(text)}
+          </pre>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function ErrorBubble({ m }) {
+  const code = m.code || LEGACY_ERROR_KINDS[m.kind];
+
+  switch (code) {
+    case ERROR_CODES.NO_CREDITS:
+      return (
+        <ErrorVideoHint
+          title="💳 Claude credits are empty."
+          sub="Add credits in Anthropic Plans & Billing, then restart the server."
+          text={m.text}
+        />
+      );
+    case ERROR_CODES.AUTH:
+      return (
+        <ErrorVideoHint
+          title="🔒 Unauthorized. The API key was rejected."
+          sub="Check API keys / env vars on the server and confirm the provider is configured."
+          text={m.text}
+        />
+      );
+    default:
+      return <div className="cc-error">{normalizeWs(m.text)}</div>;
+  }
+}
+
+// { card: 1, email: 2 } -> "Redacted before sending: card ×1, email ×2"
+const redactionTitle = (redacted) =>
+  `Redacted before sending: ${Object.entries(redacted)
+    .map(([kind, n]) => `${kind} ×${n}`)
+    .join(", ")}`;
+
+// Compliance findings on a Cloud Mode answer (server/guardrails.json). A blocked answer has
+// already been replaced by the server; the banner says why and links the slides behind each rule.
+function GuardrailBanner({ guardrail, onOpenSource }) {
+  const blocked = guardrail.status === "block";
+  return (
+    <div className={`cc-guardrail ${blocked ? "is-block" : "is-warn"}`} role="alert">
+      <div className="cc-guardrailTitle">
+        {blocked ? "🚫 Answer held back by the compliance check" : "⚠️ Compliance check: review before using this answer"}
+      </div>
+      <ul className="cc-guardrailList">
+        {guardrail.findings.map((f) => (
+          <li key={f.id}>
+            <strong>{f.title}.</strong> {f.message}
+            {onOpenSource
+              ? (f.sources || []).map((s) => (
+                  <button
+                    key={s.file}
+                    className="cc-citationOpen"
+                    type="button"
+                    onClick={() => onOpenSource({ source: s.file, slide: s.slides?.[0] ?? null })}
+                  >
+                    📖 {s.file}
+                    {s.slides?.length ? `, ${formatCitationLocation(s)}` : ""}
+                  </button>
+                ))
+              : null}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function MessageBubble({ m, isIntro, onFeedback, onFlowStep, onOpenSource }) {
   const isUser = m.role === "user";
   const isAssistant = m.role === "assistant";
+  const citations = m.citations;
 
   const html = useMemo(() => {
     if (!isAssistant) return "";
     const raw = normalizeWs(m.text);
     if (!raw) return "";
     marked.setOptions({ gfm: true, breaks: true, mangle: false, headerIds: false });
-    return stripDangerousHtml(marked.parse(raw));
-  }, [m.text, isAssistant]);
+    return linkCitationMarkers(stripDangerousHtml(marked.parse(raw)), m.id, citations);
+  }, [m.text, m.id, citations, isAssistant]);
 
   return (
     <div className={`cc-msg ${isUser ? "cc-user" : "cc-assistant"} ${isIntro ? "cc-intro" : ""}`}>
@@ -413,51 +1662,262 @@ function MessageBubble({ m, isIntro }) {
             />
             <div className="cc-thinking">{m.thinkingText || "Thinking…"}</div>
           </div>
-        ) : m.kind === "error401" ? (
-          <div className="cc-loadingWrap">
-            <video className="cc-errorVideo" autoPlay loop muted playsInline src={ERROR_VIDEO_SRC} />
-            <div className="cc-errorHint">
-              <div className="cc-error" style={{ textAlign: "center" }}>
-                🔒 Unauthorized (401). Your server rejected the request.
+        ) : m.kind === "error" || LEGACY_ERROR_KINDS[m.kind] ? (
+          <ErrorBubble m={m} />
+        ) : m.kind === "workflow" && m.flow ? (
+          <WorkflowCard m={m} onStep={onFlowStep} onOpenSource={onOpenSource} />
+        ) : isAssistant ? (
+          <>
+            {m.meta?.guardrail?.findings?.length ? (
+              <GuardrailBanner guardrail={m.meta.guardrail} onOpenSource={onOpenSource} />
+            ) : null}
+            <div className="cc-answer" dangerouslySetInnerHTML={{ __html: html }} />
+            {m.kind === "streaming" ? <span className="cc-streamCursor" aria-hidden="true" /> : null}
+            {citations?.length ? (
+              <CitationList messageId={m.id} citations={citations} onOpenSource={onOpenSource} />
+            ) : null}
+            {m.meta?.corpusVersion || m.meta?.redacted ? (
+              <div className="cc-corpusTag">
+                {m.meta.corpusVersion ? (
+                  <span title="Training guide release this answer was based on">Training guide v{m.meta.corpusVersion}</span>
+                ) : null}
+                {m.meta.redacted ? (
+                  <span title={redactionTitle(m.meta.redacted)}>
+                    🔒 {Object.values(m.meta.redacted).reduce((n, c) => n + c, 0)} guest details kept out of the AI request
+                  </span>
+                ) : null}
               </div>
-              <div className="cc-bannerSub" style={{ textAlign: "center" }}>
-                Check API keys / env vars on the server and confirm the provider is configured.
+            ) : null}
+            {!isIntro && !m.kind && m.meta?.requestId && onFeedback ? <FeedbackBar m={m} onFeedback={onFeedback} /> : null}
+          </>
+        ) : (
+          <div className="cc-bubbleText">{normalizeWs(m.text)}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- training guide browser ---
+const GUIDE_TYPE_ICONS = { pptx: "📊", docx: "📄", xlsx: "📗" };
+
+async function fetchGuide(base, path) {
+  const res = await fetchWithTimeout(`${base}/api/v1/guide${path}`, {}, 15000);
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.ok) {
+    const code = body?.code || errorCodeOf({ status: res.status });
+    throw new Error(`${errorInfo(code).message}${body?.error ? `\n${body.error}` : ""}`);
+  }
+  return body;
+}
+
+// `terms` are the server's search tokens (lowercase letters/digits), so they are regex-safe.
+function Highlighted({ text, terms }) {
+  if (!terms?.length) return text;
+  const re = new RegExp(`(${terms.join("|")})`, "gi");
+  return String(text)
+    .split(re)
+    .map((part, i) => (i % 2 ? <mark key={i} className="cc-guideMark">{part}</mark> : part));
+}
+
+// The training content as written: every source, slide-level search, and a reader that pages
+// through one source. `focus` ({ source, slide }) opens the reader directly, e.g. from a citation.
+function GuidePanel({ open, onClose, focus }) {
+  const [sources, setSources] = useState({ loaded: false, list: [], error: "" });
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState({ q: "", terms: [], hits: [], error: "" });
+  const [reader, setReader] = useState(() => (focus ? { source: focus.source, slide: focus.slide ?? null } : null));
+  const [loaded, setLoaded] = useState({ source: null, document: null, error: "" });
+
+  const base = API_BASE.replace(/\/+$/, "");
+  const q = normalizeWs(query);
+  const searching = q.length >= 2;
+  const terms = searching && results.q === q ? results.terms : [];
+
+  useEffect(() => {
+    if (!open || sources.loaded) return;
+    let cancelled = false;
+    fetchGuide(base, "").then(
+      (body) => !cancelled && setSources({ loaded: true, list: body.sources, error: "" }),
+      (e) => {
+        warn("Guide sources failed:", e);
+        if (!cancelled) setSources({ loaded: true, list: [], error: asHumanError(e) });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, base, sources.loaded]);
+
+  // Search as the agent types, once they pause.
+  useEffect(() => {
+    if (!open || !searching || results.q === q) return;
+    let cancelled = false;
+    const t = setTimeout(() => {
+      fetchGuide(base, `/search?q=${encodeURIComponent(q)}`).then(
+        (body) => !cancelled && setResults({ q, terms: body.terms, hits: body.hits, error: "" }),
+        (e) => {
+          warn("Guide search failed:", e);
+          if (!cancelled) setResults({ q, terms: [], hits: [], error: asHumanError(e) });
+        }
+      );
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [open, base, q, searching, results.q]);
+
+  useEffect(() => {
+    if (!open || !reader || loaded.source === reader.source) return;
+    let cancelled = false;
+    fetchGuide(base, `/${encodeURIComponent(reader.source)}`).then(
+      (body) => !cancelled && setLoaded({ source: reader.source, document: body.document, error: "" }),
+      (e) => {
+        warn("Guide source failed:", e);
+        if (!cancelled) setLoaded({ source: reader.source, document: null, error: asHumanError(e) });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, base, reader, loaded.source]);
+
+  if (!open) return null;
+
+  const document = reader && loaded.source === reader.source ? loaded.document : null;
+  const sections = document?.sections || [];
+  const at = Math.max(
+    0,
+    sections.findIndex((s) => s.id === reader?.id || (reader?.slide != null && s.slide === reader.slide))
+  );
+  const section = sections[at];
+  const goTo = (s) => setReader({ source: reader.source, id: s.id });
+
+  return (
+    <>
+      <div className="cc-popoverScrim" onClick={onClose} />
+      <div className="cc-popover cc-guidePanel" role="dialog" aria-modal="true">
+        <div className="cc-popoverHeader">
+          <div className="cc-popoverTitle">📖 Training guide</div>
+          <button className="cc-pillBtn cc-pillBtnGhost" onClick={onClose} type="button" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="cc-popoverBody">
+          <input
+            className="cc-sidebarSearch"
+            value={query}
+            placeholder="Search every deck, sheet and document…"
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setReader(null);
+            }}
+            maxLength={200}
+          />
+
+          {reader ? (
+            <div className="cc-guideReader">
+              <div className="cc-guideReaderHead">
+                <button type="button" className="cc-chip" onClick={() => setReader(null)}>
+                  ← {searching ? "Results" : "All sources"}
+                </button>
+                <b>{reader.source}</b>
               </div>
-              {m.text ? (
-                <pre className="cc-error" style={{ marginTop: 10 }}>
-                  {normalizeWs(m.text)}
-                </pre>
+              {loaded.error && loaded.source === reader.source ? <pre className="cc-error">{loaded.error}</pre> : null}
+              {!document && !loaded.error ? <div className="cc-popoverHint">Loading…</div> : null}
+              {sections.length > 1 ? (
+                <div className="cc-sidebarTools">
+                  {sections.map((s, i) => (
+                    <button
+                      key={s.id}
+                      type="button"
+                      className={`cc-chip ${i === at ? "is-active" : ""}`}
+                      title={s.label}
+                      onClick={() => goTo(s)}
+                    >
+                      {s.slide ?? s.label}
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+              {section ? (
+                <div className="cc-guideSection">
+                  <div className="cc-popoverHint">
+                    {section.label} • {at + 1} of {sections.length}
+                  </div>
+                  <div className="cc-guideText">
+                    <Highlighted text={section.text} terms={terms} />
+                  </div>
+                  <div className="cc-guideNav">
+                    <button className="cc-pillBtn" type="button" disabled={at === 0} onClick={() => goTo(sections[at - 1])}>
+                      ‹ Previous
+                    </button>
+                    <button
+                      className="cc-pillBtn"
+                      type="button"
+                      disabled={at === sections.length - 1}
+                      onClick={() => goTo(sections[at + 1])}
+                    >
+                      Next ›
+                    </button>
+                  </div>
+                </div>
               ) : null}
             </div>
-          </div>
-        ) : m.kind === "error404" ? (
-          <div className="cc-error">{normalizeWs(m.text)}</div>
-        ) : m.kind === "errorNoCredits" ? (
-          <div className="cc-loadingWrap">
-            <video className="cc-errorVideo" autoPlay loop muted playsInline src={ERROR_VIDEO_SRC} />
-            <div className="cc-errorHint">
-              <div className="cc-error" style={{ textAlign: "center" }}>
-                💳 Claude credits are empty.
+          ) : searching ? (
+            <>
+              {results.error && results.q === q ? <pre className="cc-error">{results.error}</pre> : null}
+              <div className="cc-popoverHint">
+                {results.q !== q ? "Searching…" : results.hits.length ? `${results.hits.length} matches` : "No matches."}
               </div>
-              <div className="cc-bannerSub" style={{ textAlign: "center" }}>
-                Add credits in Anthropic Plans & Billing, then restart the server.
+              <div className="cc-guideList">
+                {results.q === q &&
+                  results.hits.map((h) => (
+                    <button
+                      key={h.id}
+                      type="button"
+                      className="cc-guideItem"
+                      onClick={() => setReader({ source: h.source_rel, id: h.id })}
+                    >
+                      <div className="cc-guideItemName">
+                        {GUIDE_TYPE_ICONS[h.type] || "📄"} {h.source_rel} • {h.label}
+                      </div>
+                      <div className="cc-guideItemSub">
+                        <Highlighted text={h.snippet} terms={results.terms} />
+                      </div>
+                    </button>
+                  ))}
               </div>
-              {m.text ? (
-                <pre className="cc-error" style={{ marginTop: 10 }}>
-                  {normalizeWs(m.text)}
-                </pre>
-              ) : null}
-            </div>
-          </div>
-        ) : m.kind === "error" ? (
-          <div className="cc-error">{normalizeWs(m.text)}</div>
-        ) : isAssistant ? (
-          <div className="cc-answer" dangerouslySetInnerHTML={{ __html: html }} />
-        ) : (
-          <div className="cc-bubbleText">{normalizeWs(m.text)}</div>
-        )}
+            </>
+          ) : (
+            <>
+              {sources.error ? <pre className="cc-error">{sources.error}</pre> : null}
+              <div className="cc-popoverHint">
+                {sources.loaded ? `${sources.list.length} sources. Open one to read it slide by slide.` : "Loading…"}
+              </div>
+              <div className="cc-guideList">
+                {sources.list.map((s) => (
+                  <button
+                    key={s.source_rel}
+                    type="button"
+                    className="cc-guideItem"
+                    onClick={() => setReader({ source: s.source_rel, slide: null })}
+                  >
+                    <div className="cc-guideItemName">
+                      {GUIDE_TYPE_ICONS[s.type] || "📄"} {s.source_rel}
+                    </div>
+                    <div className="cc-guideItemSub">
+                      {s.title} • {s.sections} {s.type === "pptx" ? "slides" : "sections"}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
       </div>
-    </div>
+    </>
   );
 }
 
@@ -502,6 +1962,8 @@ function ResourcePopover({ open, onClose }) {
 export default function App() {
   const textareaRef = useRef(null);
   const threadEndRef = useRef(null);
+  const abortRef = useRef(null);
+  const stoppedRef = useRef(false);
 
   const [mode, setMode] = useState(() => tryLoadLocal("cc_mode", "cloud"));
   const [docs, setDocs] = useState(() => tryLoadLocal("cc_docs", DEFAULT_DOCS));
@@ -517,17 +1979,24 @@ export default function App() {
   const [banner, setBanner] = useState(null);
   const [health, setHealth] = useState({ ok: null, last: null });
 
+  const [session, setSession] = useState(loadSession);
+  const sessionRef = useRef(session);
+
   const [resourcesOpen, setResourcesOpen] = useState(false);
 
-  const [messages, setMessages] = useState(() => [
-    {
-      id: genId(),
-      role: "assistant",
-      text:
-        "Hi! Ask me what to do in a guest situation and I’ll respond using the selected procedures/policies.\n\nTip: select the docs in the footer first.",
-      ts: Date.now(),
-    },
-  ]);
+  const [messages, setMessages] = useState(() => [makeIntroMessage()]);
+
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [reviewOpen, setReviewOpen] = useState(false);
+  const [qaOpen, setQaOpen] = useState(false);
+  const [escalationOpen, setEscalationOpen] = useState(false);
+  const [notesOpen, setNotesOpen] = useState(false);
+  const [guideOpen, setGuideOpen] = useState(false);
+  const [guideFocus, setGuideFocus] = useState(null);
+  const [flows, setFlows] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [conversation, setConversation] = useState(() => ({ id: genId(), createdAt: Date.now() }));
+  const mirrorRef = useRef(true);
 
   useAutoResizeTextarea(textareaRef, input);
 
@@ -555,6 +2024,124 @@ export default function App() {
     scrollToBottom();
   }, [messages, scrollToBottom]);
 
+  const refreshConversations = useCallback(async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (e) {
+      warn("listConversations failed:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    listConversations()
+      .then((list) => !cancelled && setConversations(list))
+      .catch((e) => warn("listConversations failed:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Persist the thread once a turn settles (IndexedDB first, then the optional server mirror).
+  useEffect(() => {
+    if (isSending) return;
+    const stored = toStoredMessages(messages, firstAssistantId);
+    if (!stored.some((m) => m.role === "user")) return;
+
+    const record = {
+      id: conversation.id,
+      title: conversationTitle(stored),
+      createdAt: conversation.createdAt,
+      // last activity, so merely reopening a thread does not reorder the list
+      updatedAt: Math.max(conversation.createdAt, ...stored.map((m) => m.ts || 0)),
+      mode,
+      docs,
+      messages: stored,
+    };
+
+    let cancelled = false;
+    (async () => {
+      try {
+        await saveConversation(record);
+        if (!cancelled) await refreshConversations();
+      } catch (e) {
+        warn("saveConversation failed:", e);
+      }
+
+      if (!mirrorRef.current) return;
+      try {
+        const res = await fetchWithTimeout(
+          `${API_BASE.replace(/\/+$/, "")}/api/conversations/${encodeURIComponent(record.id)}`,
+          {
+            method: "PUT",
+            headers: { "Content-Type": "application/json", ...authHeaders(sessionRef.current) },
+            body: JSON.stringify(record),
+          },
+          12000
+        );
+        // mirror disabled (or an older server): stop trying for this session
+        if (res.status === 404) mirrorRef.current = false;
+      } catch (e) {
+        warn("Conversation mirror failed:", e);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+    // mode/docs are saved with the thread but changing a chip alone should not rewrite it
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, isSending, conversation, firstAssistantId, refreshConversations]);
+
+  const newConversation = useCallback(() => {
+    log("New conversation");
+    setMessages([makeIntroMessage()]);
+    setConversation({ id: genId(), createdAt: Date.now() });
+    setBanner(null);
+    setHistoryOpen(false);
+  }, []);
+
+  const openConversation = useCallback((c) => {
+    log("Open conversation:", c.id);
+    setMessages([makeIntroMessage(), ...(c.messages || [])]);
+    setConversation({ id: c.id, createdAt: c.createdAt });
+    if (c.mode) setMode(c.mode);
+    if (c.docs) setDocs(c.docs);
+    setBanner(null);
+    setHistoryOpen(false);
+  }, []);
+
+  const removeConversation = useCallback(
+    async (c) => {
+      if (!window.confirm(`Delete "${c.title}"?`)) return;
+      try {
+        await deleteConversation(c.id);
+      } catch (e) {
+        warn("deleteConversation failed:", e);
+      }
+      if (c.id === conversation.id) newConversation();
+      refreshConversations();
+    },
+    [conversation.id, newConversation, refreshConversations]
+  );
+
+  useEffect(() => {
+    sessionRef.current = session;
+    trySaveLocal("cc_session", session);
+  }, [session]);
+
+  // History in IndexedDB is per browser, not per agent: drop it with the session.
+  const signOut = useCallback(() => {
+    log("Sign out");
+    setSession(null);
+    newConversation();
+    setConversations([]);
+    clearConversations().catch((e) => warn("clearConversations failed:", e));
+  }, [newConversation]);
+
+  // trainers/supervisors triage flagged answers; with login off everyone can
+  const canReview = health.authRequired === false || ["admin", "supervisor"].includes(session?.agent?.role);
+
   useEffect(() => trySaveLocal("cc_mode", mode), [mode]);
   useEffect(() => trySaveLocal("cc_docs", docs), [docs]);
 
@@ -610,9 +2197,10 @@ export default function App() {
 
         const res = await fetchWithTimeout(url, {}, 12000);
         const ok = res.ok;
+        const body = ok ? await res.json().catch(() => null) : null;
 
         log("Health response:", { status: res.status, ok });
-        setHealth({ ok, last: Date.now() });
+        setHealth({ ok, last: Date.now(), authRequired: !!body?.authRequired });
 
         if (!ok) {
           setBanner({
@@ -642,8 +2230,14 @@ export default function App() {
   useEffect(() => {
     const onKey = (e) => {
       if (e.key === "Escape") {
-        log("ESC pressed -> closing resources popover");
+        log("ESC pressed -> closing popovers");
         setResourcesOpen(false);
+        setHistoryOpen(false);
+        setReviewOpen(false);
+        setQaOpen(false);
+        setEscalationOpen(false);
+        setNotesOpen(false);
+        setGuideOpen(false);
       }
     };
     window.addEventListener("keydown", onKey);
@@ -673,6 +2267,113 @@ export default function App() {
     });
   }, []);
 
+  // Guided flows: the list loads once; a definition is fetched when the agent starts it.
+  useEffect(() => {
+    let cancelled = false;
+    fetchWithTimeout(`${API_BASE.replace(/\/+$/, "")}/api/v1/workflows`, {}, 12000)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((body) => !cancelled && setFlows(body?.workflows || []))
+      .catch((e) => warn("Guided flows unavailable:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const suggestedFlows = useMemo(() => suggestFlows(flows, input), [flows, input]);
+
+  const startFlow = useCallback(
+    async (id) => {
+      try {
+        const res = await fetchWithTimeout(`${API_BASE.replace(/\/+$/, "")}/api/v1/workflows/${id}`, {}, 12000);
+        const body = await res.json().catch(() => null);
+        if (!res.ok || !body?.ok) throw new Error(body?.error || `HTTP ${res.status}`);
+        const flow = body.workflow;
+        log("Guided flow started:", flow.id);
+        addMessage({
+          id: genId(),
+          role: "assistant",
+          kind: "workflow",
+          text: `Guided flow: ${flow.title}`,
+          flow,
+          path: [flow.start],
+          choices: [],
+          ts: Date.now(),
+        });
+      } catch (e) {
+        warn("Guided flow failed:", e);
+        setBanner({ type: "error", title: "🧭 Guided flow unavailable", sub: asHumanError(e) });
+      }
+    },
+    [addMessage]
+  );
+
+  const stepFlow = useCallback((m, { option, back, restart }) => {
+    log("Guided flow step:", { flow: m.flow.id, option: option?.label, back, restart });
+    setMessages((prev) =>
+      prev.map((x) => {
+        if (x.id !== m.id) return x;
+        if (restart) return { ...x, path: [x.flow.start], choices: [] };
+        if (back) return { ...x, path: x.path.slice(0, -1), choices: x.choices.slice(0, -1) };
+        return { ...x, path: [...x.path, option.next], choices: [...x.choices, option.label] };
+      })
+    );
+  }, []);
+
+  const openGuideAt = useCallback((focus) => {
+    log("Guide opened at:", focus);
+    setGuideFocus({ ...focus, at: Date.now() });
+    setGuideOpen(true);
+  }, []);
+
+  // Optimistic: the thumbs light up right away; a failed POST is shown under the answer.
+  const sendFeedback = useCallback(
+    async (m, { rating, reason, comment }) => {
+      const setFeedback = (feedback) =>
+        setMessages((prev) => prev.map((x) => (x.id === m.id ? { ...x, feedback } : x)));
+      setFeedback({ rating, reason, ts: Date.now() });
+
+      const idx = messages.findIndex((x) => x.id === m.id);
+      const question = [...messages.slice(0, idx)].reverse().find((x) => x.role === "user")?.text || "";
+      const citations = (m.citations || []).slice(0, 20).map(({ index, id, source, type, slides, sheet, row }) => ({
+        index,
+        id,
+        source,
+        type,
+        slides,
+        sheet,
+        row,
+      }));
+
+      try {
+        const res = await fetchWithTimeout(
+          `${API_BASE.replace(/\/+$/, "")}/api/feedback`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...authHeaders(sessionRef.current) },
+            body: JSON.stringify({
+              requestId: m.meta.requestId,
+              rating,
+              reason,
+              comment,
+              question: normalizeWs(question).slice(0, 8000),
+              answer: normalizeWs(m.text).slice(0, 20000),
+              citations,
+              mode: m.meta.mode === "local" ? "local" : "cloud",
+              conversationId: conversation.id,
+            }),
+          },
+          15000
+        );
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        log("Feedback sent:", { requestId: m.meta.requestId, rating, reason });
+      } catch (e) {
+        warn("Feedback failed:", e);
+        setFeedback({ rating, reason, ts: Date.now(), failed: true });
+      }
+    },
+    [messages, conversation.id]
+  );
+
   const toggleDoc = useCallback((key) => {
     log("toggleDoc:", key);
     setDocs((prev) => ({ ...prev, [key]: !prev[key] }));
@@ -712,6 +2413,9 @@ export default function App() {
     setBanner(null);
     setIsSending(true);
 
+    // snapshot before this turn's bubbles are added
+    const history = buildHistory(messages, firstAssistantId);
+
     addMessage({ id: genId(), role: "user", text: question, ts: Date.now() });
     addMessage({
       id: genId(),
@@ -726,20 +2430,33 @@ export default function App() {
 
     const payload = buildPayload({
       question,
+      history,
       mode,
       docs: { ...docs, _availability: docAvail, _activeDocsLabel: activeDocsLabel },
     });
 
-    // Multi-endpoint probing (keep) — put most likely endpoint FIRST
-    const endpoints = ["/api/claude", "/api/ask", "/ask", "/api/chat", "/chat", "/query", "/api/query"];
     const maxAttempts = 2;
 
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    stoppedRef.current = false;
+    // Gives up after 90 s without a stream event, not 90 s in total: a long answer still arriving
+    // is never cut off.
+    let streamTimer = null;
+    const keepAlive = () => {
+      clearTimeout(streamTimer);
+      streamTimer = setTimeout(() => ctrl.abort(), 90000);
+    };
+    keepAlive();
+    let streamedText = "";
+    let requestId = null;
+
     try {
       let last = null;
 
       group("Send flow", () => {
         log("API_BASE:", API_BASE);
-        log("Endpoints list:", endpoints);
+        log("Endpoint:", CHAT_ENDPOINT);
         log("Question:", question);
         log("Docs label:", activeDocsLabel);
       });
@@ -747,8 +2464,24 @@ export default function App() {
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         log(`Attempt ${attempt}/${maxAttempts}`);
         try {
-          last = await postToAnyEndpoint({ base: API_BASE, paths: endpoints, payload, timeoutMs: 65000 });
-          log("Endpoint success:", last);
+          last = await streamChat({
+            base: API_BASE,
+            path: CHAT_ENDPOINT,
+            payload,
+            signal: ctrl.signal,
+            headers: authHeaders(sessionRef.current),
+            onMeta: (meta) => {
+              keepAlive();
+              log("Stream meta:", meta);
+              requestId = meta?.requestId || null;
+            },
+            onDelta: (text) => {
+              keepAlive();
+              streamedText = text;
+              replaceLastAssistant({ kind: "streaming", text, ts: Date.now() });
+            },
+          });
+          log("Stream success:", { path: last.path, len: streamedText.length });
           break;
         } catch (e) {
           warn("Attempt failed:", {
@@ -758,18 +2491,15 @@ export default function App() {
             message: String(e?.message || e),
           });
 
-          if (e?.status === 401) throw e;
-          if (e?.status === 404) throw e;
+          // never retry once the agent has seen part of an answer
+          if (e?.streamed || isAbort(e)) throw e;
 
-          if (e?.status === 429 && attempt < maxAttempts) {
-            await sleep(900 + Math.floor(Math.random() * 500));
-            continue;
-          }
-          if (Number(e?.status) >= 500 && attempt < maxAttempts) {
-            await sleep(650 + Math.floor(Math.random() * 450));
+          // honor the server's Retry-After, but don't keep the agent waiting for long ones
+          const retryAfterMs = Number(e?.retryAfter || 0) * 1000;
+          if (errorInfo(errorCodeOf(e)).retryable && retryAfterMs <= 5000 && attempt < maxAttempts) {
+            await sleep(retryAfterMs || 650 + Math.floor(Math.random() * 450));
             continue;
           }
-          if (isAbort(e)) throw e;
 
           throw e;
         }
@@ -777,83 +2507,101 @@ export default function App() {
 
       const answerText = pickAnswerFromBody(last?.body);
       const finalText = normalizeWs(answerText) || "No answer returned from server.";
+      const citations = pickCitationsFromBody(last?.body);
 
       replaceLastAssistant({
         kind: undefined,
         text: finalText,
+        citations,
         ts: Date.now(),
-        meta: { endpoint: last?.path, status: last?.status, mode },
+        meta: {
+          endpoint: last?.path,
+          status: last?.status,
+          mode,
+          requestId: last?.body?.requestId || requestId,
+          corpusVersion: last?.body?.corpusVersion ?? null,
+          redacted: last?.body?.redacted ?? null,
+          guardrail: last?.body?.guardrail ?? null,
+        },
       });
       setHealth((h) => ({ ...h, ok: true, last: Date.now() }));
     } catch (e) {
       const status = e?.status;
 
-      errlog("send() error:", e);
-
-      if (status === 401) {
-        replaceLastAssistant({
-          kind: "error401",
-          text: normalizeWs(e?.message || "Unauthorized (401)."),
-          ts: Date.now(),
-        });
-      } else if (status === 404) {
-        const attemptedPath = e?.path || "";
-        const friendly404 = build404Message({ apiBase: API_BASE, attemptedPath });
-
+      if (stoppedRef.current && isAbort(e)) {
+        log("send() stopped by agent");
         replaceLastAssistant({
-          kind: "error404",
-          text: friendly404,
+          kind: undefined,
+          text: streamedText ? `${streamedText}\n\n_⏹️ Stopped._` : "⏹️ Stopped.",
           ts: Date.now(),
-          meta: { endpoint: attemptedPath, status },
+          meta: { requestId, mode, stopped: true },
         });
+        return;
+      }
 
-        setBanner({
-          type: "error",
-          title: "🧯 We handled an error safely",
-          sub: `HTTP 404 — Server cannot find the requested resource (${attemptedPath || "unknown endpoint"}).`,
-        });
-      } else if (isNoCreditsError(e)) {
-        // ✅ SHOW THE ERROR ANIMATION FOR "NO CREDITS"
-        const noCreditsText = buildNoCreditsMessage();
-        replaceLastAssistant({
-          kind: "errorNoCredits",
-          text: noCreditsText,
-          ts: Date.now(),
-          meta: { status, endpoint: e?.path, noCredits: true },
-        });
+      errlog("send() error:", e);
 
-        setBanner({
-          type: "error",
-          title: "💳 Claude credits empty",
-          sub: "Add credits in Anthropic Plans & Billing, then restart the server.",
-        });
-      } else {
-        const friendly =
-          status === 429
-            ? "⏳ Rate limit hit (429). Please try again in a moment."
-            : status === 413
-            ? "📦 Request too large (413). Shorten the question or reduce selected docs."
-            : isAbort(e)
-            ? "⏱️ Timed out. Server took too long. Try again."
-            : status
-            ? `⚠️ Server error (HTTP ${status}).`
-            : "⚠️ Network error. Check server / internet.";
+      const code = errorCodeOf(e);
+      // expired or revoked token: show the sign-in dialog again
+      if (code === ERROR_CODES.UNAUTHENTICATED) {
+        setSession(null);
+        setHealth((h) => ({ ...h, authRequired: true }));
+      }
 
-        replaceLastAssistant({
-          kind: "error",
-          text: `${friendly}\n\nDetails:\n${normalizeWs(e?.message || asHumanError(e))}`,
-          ts: Date.now(),
-        });
+      replaceLastAssistant({
+        kind: "error",
+        code,
+        text: buildErrorText(code, e),
+        ts: Date.now(),
+        meta: { endpoint: e?.path, status, code, retryAfter: e?.retryAfter ?? null },
+      });
 
-        setBanner({ type: "error", title: "🧯 We handled an error safely", sub: normalizeWs(e?.message || asHumanError(e)) });
+      switch (code) {
+        case ERROR_CODES.NOT_FOUND:
+          setBanner({
+            type: "error",
+            title: "🧯 We handled an error safely",
+            sub: `HTTP 404 — Server cannot find the requested resource (${e?.path || "unknown endpoint"}).`,
+          });
+          break;
+        case ERROR_CODES.NO_CREDITS:
+          setBanner({
+            type: "error",
+            title: "💳 Claude credits empty",
+            sub: "Add credits in Anthropic Plans & Billing, then restart the server.",
+          });
+          break;
+        default:
+          setBanner({ type: "error", title: "🧯 We handled an error safely", sub: errorInfo(code).message });
       }
 
       setHealth((h) => ({ ...h, ok: false, last: Date.now() }));
     } finally {
+      clearTimeout(streamTimer);
+      abortRef.current = null;
+      stoppedRef.current = false;
       setIsSending(false);
       log("send() finished");
     }
-  }, [input, isSending, docs, mode, addMessage, replaceLastAssistant, docAvail, activeDocsLabel]);
+  }, [
+    input,
+    isSending,
+    docs,
+    mode,
+    messages,
+    firstAssistantId,
+    addMessage,
+    replaceLastAssistant,
+    docAvail,
+    activeDocsLabel,
+  ]);
+
+  const stop = useCallback(() => {
+    if (!abortRef.current) return;
+    log("Stop clicked -> aborting request");
+    stoppedRef.current = true;
+    abortRef.current.abort();
+  }, []);
 
   const onKeyDown = useCallback(
     (e) => {
@@ -888,17 +2636,97 @@ export default function App() {
       Resources
     </button>
 
+    <button
+      className={`cc-navItem ${guideOpen ? "cc-navItemPill is-active" : ""}`}
+      type="button"
+      onClick={() => setGuideOpen(true)}
+    >
+      Guide
+    </button>
+
+    <button
+      className={`cc-navItem ${historyOpen ? "cc-navItemPill is-active" : ""}`}
+      type="button"
+      onClick={() => setHistoryOpen(true)}
+    >
+      History
+    </button>
+
     {/* --- INSERT THIS LINE --- */}
    <div className="cc-navTitle">Call Center Compliance tool</div>
     {/* ------------------------ */}
 
     <div className="cc-navSpacer" />
 
+    <button
+      className={`cc-navItem ${escalationOpen ? "cc-navItemPill is-active" : ""}`}
+      type="button"
+      onClick={() => setEscalationOpen(true)}
+    >
+      Escalation
+    </button>
+
+    <button
+      className={`cc-navItem ${notesOpen ? "cc-navItemPill is-active" : ""}`}
+      type="button"
+      onClick={() => setNotesOpen(true)}
+    >
+      Notes
+    </button>
+
+    <button
+      className={`cc-navItem ${qaOpen ? "cc-navItemPill is-active" : ""}`}
+      type="button"
+      onClick={() => setQaOpen(true)}
+    >
+      QA Scorecard
+    </button>
+
+    {canReview ? (
+      <button
+        className={`cc-navItem ${reviewOpen ? "cc-navItemPill is-active" : ""}`}
+        type="button"
+        onClick={() => setReviewOpen(true)}
+      >
+        Review
+      </button>
+    ) : null}
+
+    {session ? (
+      <button className="cc-navItem" type="button" onClick={signOut} title="Sign out">
+        👤 {session.agent?.name || session.agent?.username} · Sign out
+      </button>
+    ) : null}
+
     {/* "Say Hello" button removed from here */}
   </div>
 </div>
 
+{health.authRequired && !session ? <LoginDialog onLogin={setSession} /> : null}
+
+<EscalationPanel
+  open={escalationOpen}
+  onClose={() => setEscalationOpen(false)}
+  session={session}
+  mode={mode}
+/>
+<NoteWriterPanel open={notesOpen} onClose={() => setNotesOpen(false)} session={session} mode={mode} />
+<QaScorecardPanel open={qaOpen} onClose={() => setQaOpen(false)} session={session} />
+<FeedbackReviewPanel open={reviewOpen} onClose={() => setReviewOpen(false)} session={session} />
+
 <ResourcePopover open={resourcesOpen} onClose={() => setResourcesOpen(false)} />
+{/* a citation link remounts the panel on the slide it points to */}
+<GuidePanel key={guideFocus?.at || "guide"} open={guideOpen} onClose={() => setGuideOpen(false)} focus={guideFocus} />
+<HistorySidebar
+  open={historyOpen}
+  onClose={() => setHistoryOpen(false)}
+  conversations={conversations}
+  activeId={conversation.id}
+  disabled={isSending}
+  onOpen={openConversation}
+  onDelete={removeConversation}
+  onNew={newConversation}
+/>
 
 {/* Main */}
 <div className="cc-main">
@@ -928,7 +2756,14 @@ export default function App() {
               </div>
 
               {messages.map((m) => (
-                <MessageBubble key={m.id} m={m} isIntro={m.id === firstAssistantId} />
+                <MessageBubble
+                  key={m.id}
+                  m={m}
+                  isIntro={m.id === firstAssistantId}
+                  onFeedback={sendFeedback}
+                  onFlowStep={stepFlow}
+                  onOpenSource={openGuideAt}
+                />
               ))}
 
               <div ref={threadEndRef} />
@@ -940,6 +2775,24 @@ export default function App() {
         {/* Footer */}
         <div className="cc-footer">
           <div className="cc-footer-inner">
+            <div className="cc-modeRow">
+              {MODE_META.map((x) => (
+                <button
+                  key={x.key}
+                  className={`cc-chip ${mode === x.key ? "is-active" : ""}`}
+                  title={x.key === "local" ? "Answer from the selected docs only, without Claude" : "Answer with Claude"}
+                  onClick={() => {
+                    log("Mode chip clicked:", x.key);
+                    setMode(x.key);
+                  }}
+                  disabled={isSending}
+                  type="button"
+                >
+                  {x.label}
+                </button>
+              ))}
+            </div>
+
             <div className="cc-docRow">
               {DOC_META.map((d) => {
                 const active = !!docs[d.key];
@@ -972,6 +2825,23 @@ export default function App() {
               })}
             </div>
 
+            {flows.length ? (
+              <div className="cc-docRow">
+                {flows.map((f) => (
+                  <button
+                    key={f.id}
+                    className={`cc-chip cc-flowChip ${suggestedFlows.has(f.id) ? "is-suggested" : ""}`}
+                    title={f.summary}
+                    onClick={() => startFlow(f.id)}
+                    disabled={isSending}
+                    type="button"
+                  >
+                    🧭 {f.title}
+                  </button>
+                ))}
+              </div>
+            ) : null}
+
             {/* Buttons removed here */}
 
             <div className="cc-inputShell">
@@ -1004,18 +2874,24 @@ export default function App() {
                 ✕
               </button>
 
-              <button
-                className="cc-sendBtn"
-                type="button"
-                onClick={() => {
-                  log("Send button clicked");
-                  send();
-                }}
-                disabled={isSending || !input.trim()}
-                title="Send"
-              >
-                ➤
-              </button>
+              {isSending ? (
+                <button className="cc-sendBtn cc-stopBtn" type="button" onClick={stop} title="Stop">
+                  ■
+                </button>
+              ) : (
+                <button
+                  className="cc-sendBtn"
+                  type="button"
+                  onClick={() => {
+                    log("Send button clicked");
+                    send();
+                  }}
+                  disabled={!input.trim()}
+                  title="Send"
+                >
+                  ➤
+                </button>
+              )}
             </div>
 
             <div className="cc-footer-note">
@@ -0,0 +1,69 @@
+// IndexedDB persistence for chat threads (one record per conversation).
+// Record shape: { id, title, createdAt, updatedAt, mode, docs, messages: [...] }
+// Threads are stored with guest details redacted (shared/redaction.js).
+
+import { redactConversation } from "../shared/redaction.js";
+
+const DB_NAME = "cc-history";
+const DB_VERSION = 1;
+const STORE = "conversations";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a retry after a failed open (e.g. private mode quirks)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function listConversations() {
+  const all = (await withStore("readonly", (s) => s.getAll())) || [];
+  return all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export function getConversation(id) {
+  return withStore("readonly", (s) => s.get(id));
+}
+
+export function saveConversation(conversation) {
+  return withStore("readwrite", (s) => s.put(redactConversation(conversation)));
+}
+
+export function deleteConversation(id) {
+  return withStore("readwrite", (s) => s.delete(id));
+}
+
+// On sign-out, so the next agent on this browser does not inherit the history.
+export function clearConversations() {
+  return withStore("readwrite", (s) => s.clear());
+}